@@ -3,7 +3,8 @@
 /**
  * serverless-aws-alias-v4 (patched)
  *
- * Adds Lambda alias management and updates API Gateway (REST & WebSocket) integrations
+ * Adds Lambda alias management and updates API Gateway (REST, WebSocket & HTTP API) integrations,
+ * ALB target groups, SQS/stream event source mappings, EventBridge rule targets and SNS subscriptions
  * to route traffic through a stage variable. This patched version supports per-function
  * stage variables so each function can resolve to a different alias (blue/green) at runtime.
  *
@@ -17,6 +18,9 @@
  *  - stageVarSanitize: boolean (default true)
  *    If true, non [A-Za-z0-9_] characters are replaced with `_` to produce a valid stage variable key.
  *
+ * Per-function overrides in `functions.<name>.alias`: name, exclude, forcePublish, stageVarKey
+ * and events (the event types to rewire onto the alias).
+ *
  * Example:
  * custom:
  *   alias:
@@ -33,9 +37,19 @@
  *
  * IMPORTANT: When perFunctionStageVars=true this plugin WILL NOT attempt to set the global
  * `alias` stage variable on your API Gateway stage. You must manage all per-function stage
- * variables in your pipeline (e.g., set audiencesAlias=blue|green for each function).
+ * variables in your pipeline (e.g., set audiencesAlias=blue|green for each function), or
+ * flip them with `sls alias switch --to <alias>`.
  */
 
+const { AsyncLocalStorage } = require('async_hooks');
+const { execFile } = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { promisify } = require('util');
+
+const execFileAsync = promisify(execFile);
+
 const PLUGIN_NAME = 'serverless-aws-alias-v4';
 
 // Determine debug logging state (can be set via SLS_DEBUG=true or --verbose flag)
@@ -43,9 +57,91 @@ const IS_DEBUG = process.env?.SLS_DEBUG || process.argv.includes('--verbose') ||
 // Check if force deployment is requested
 const IS_FORCE = process.argv.includes('--force');
 
+// Retries of throttled AWS calls (exponential backoff with full jitter)
+const AWS_MAX_RETRIES = 8;
+const AWS_RETRY_BASE_DELAY = 250;
+const AWS_RETRY_MAX_DELAY = 20000;
+const AWS_THROTTLING_ERRORS = new Set([
+  'TooManyRequestsException',
+  'ThrottlingException',
+  'Throttling',
+  'ThrottledException',
+  'RequestThrottled',
+  'RequestThrottledException',
+  'RequestLimitExceeded',
+  'SlowDown',
+  'PriorRequestNotComplete',
+]);
+
+// Pagination of the AWS list calls used by this plugin: [request token, response token, items key]
+const AWS_PAGINATED_CALLS = {
+  'Lambda.listVersionsByFunction': ['Marker', 'NextMarker', 'Versions'],
+  'Lambda.listAliases': ['Marker', 'NextMarker', 'Aliases'],
+  'APIGateway.getResources': ['position', 'position', 'items'],
+  'ApiGatewayV2.getRoutes': ['NextToken', 'NextToken', 'Items'],
+  'ApiGatewayV2.getIntegrations': ['NextToken', 'NextToken', 'Items'],
+  'ELBv2.describeRules': ['Marker', 'NextMarker', 'Rules'],
+  'Lambda.listEventSourceMappings': ['Marker', 'NextMarker', 'EventSourceMappings'],
+  'Lambda.listProvisionedConcurrencyConfigs': ['Marker', 'NextMarker', 'ProvisionedConcurrencyConfigs'],
+  'EventBridge.listRuleNamesByTarget': ['NextToken', 'NextToken', 'RuleNames'],
+  'EventBridge.listTargetsByRule': ['NextToken', 'NextToken', 'Targets'],
+  'SNS.listSubscriptionsByTopic': ['NextToken', 'NextToken', 'Subscriptions'],
+  'CloudFormation.listStackResources': ['NextToken', 'NextToken', 'StackResourceSummaries'],
+  'CloudFormation.listExports': ['NextToken', 'NextToken', 'Exports'],
+};
+
+const ALIAS_MODES = ['sdk', 'cloudformation'];
+const STAGE_VARIABLE_CHECK_MODES = ['error', 'warn', 'off'];
+
+// Lambda alias names: 1-128 characters, not only digits (those are versions)
+const ALIAS_NAME_PATTERN = /^(?!\d+$)[a-zA-Z0-9-_]{1,128}$/;
+// Versions of additional aliases: the routed alias' new or previous version, or a pinned version number
+const ALIAS_SPEC_VERSIONS = ['new', 'previous'];
+// Event types a function can limit its rewiring to (functions.<name>.alias.events)
+const REWIRABLE_EVENT_TYPES = ['http', 'websocket', 'httpApi', 'alb', 'sqs', 'stream', 'schedule', 'eventBridge', 'cloudwatchEvent', 'sns'];
+// API Gateway stage variable names
+const STAGE_VARIABLE_KEY_PATTERN = /^[A-Za-z0-9_]+$/;
+
+// Collects the log lines of a task run by mapWithConcurrency, so they can be printed in order
+const LOG_BUFFER = new AsyncLocalStorage();
+
+const FUNCTION_URL_AUTH_TYPES = ['NONE', 'AWS_IAM'];
+const FUNCTION_URL_INVOKE_MODES = ['BUFFERED', 'RESPONSE_STREAM'];
+
+// Deployment report of the alias workflow, relative to the service directory (custom.alias.report)
+const DEFAULT_REPORT_PATH = '.serverless/alias-deployment-report.json';
+
+// Version/alias descriptions and function tags (see renderMetadataTemplate)
+const DEFAULT_VERSION_DESCRIPTION = '{description}';
+const DEFAULT_ALIAS_DESCRIPTION = 'Alias for {aliasName}';
+// URL of the running CI build (GitHub Actions is built from several variables, see loadBuildMetadata)
+const CI_BUILD_URL_VARIABLES = ['CI_JOB_URL', 'CIRCLE_BUILD_URL', 'BUILDKITE_BUILD_URL', 'CODEBUILD_BUILD_URL', 'BUILD_URL'];
+// Branch of the CI build, as CI systems usually check out a detached HEAD
+const CI_BRANCH_VARIABLES = ['GITHUB_HEAD_REF', 'GITHUB_REF_NAME', 'CI_COMMIT_REF_NAME', 'CIRCLE_BRANCH', 'BUILDKITE_BRANCH', 'BRANCH_NAME', 'GIT_BRANCH'];
+
+// AWS calls recorded in the deployment report: [report section, entry of the call parameters]
+const REPORTED_CALLS = {
+  'Lambda.addPermission': ['permissions', (params) => ({
+    action: 'added',
+    functionName: params.FunctionName,
+    statementId: params.StatementId,
+    principal: params.Principal,
+    sourceArn: params.SourceArn || null,
+  })],
+  'Lambda.removePermission': ['permissions', (params) => ({
+    action: 'removed',
+    functionName: params.FunctionName,
+    statementId: params.StatementId,
+  })],
+};
+
+// Event sources whose mappings are moved onto the alias
+const EVENT_SOURCE_ARN_PATTERN = /^arn:[^:]+:(sqs|kinesis|dynamodb):/;
+
 class ServerlessLambdaAliasPlugin {
-  constructor(serverless) {
+  constructor(serverless, options = {}) {
     this.serverless = serverless;
+    this.options = options;
     this.provider = serverless.getProvider('aws');
 
     this.config = {
@@ -57,6 +153,9 @@ class ServerlessLambdaAliasPlugin {
       region: this.provider.getRegion(),
       restApiId: this.serverless.service.provider.apiGateway?.restApiId,
       websocketApiId: this.serverless.service.provider.websocketApiId,
+      // HTTP API (API Gateway v2) ID: provider.httpApi.id, or resolved from the stack (see resolveHttpApiId)
+      httpApiId: this.serverless.service.provider.httpApi?.id,
+      httpApiStage: '$default',
 
       // --- New per-function stage var options ---
       perFunctionStageVars: false,
@@ -65,12 +164,152 @@ class ServerlessLambdaAliasPlugin {
       // If true, plugin won't set a global stage variable 'alias' during deployApiGateway/update
       // (this is automatically true when perFunctionStageVars is enabled)
       skipSetGlobalStageVar: false,
+
+      // Traffic shifting steps (empty = move alias all at once)
+      trafficShifting: [],
+      // CloudWatch watch window with automatic rollback (null = disabled)
+      autoRollback: null,
+      // Number of deployment history entries kept in the deployment bucket
+      historyLimit: 50,
+      // Number of functions processed at the same time
+      concurrency: 5,
+      // Stage variable preflight check before integrations are updated (error, warn or off)
+      stageVariableCheck: 'error',
+      // Path of the deployment report (false = no report)
+      report: DEFAULT_REPORT_PATH,
+      // Description templates of published versions and aliases, and tag templates of functions
+      versionDescription: DEFAULT_VERSION_DESCRIPTION,
+      aliasDescription: DEFAULT_ALIAS_DESCRIPTION,
+      tags: {},
+    };
+
+    // AWS SDK clients, created once per service (see getAwsClient)
+    this.awsClients = new Map();
+    // Deployed stack resources, outputs and exports, loaded once (see getStackContext)
+    this.stackContext = null;
+    // Changes of the running alias deployment (see startDeploymentReport)
+    this.report = null;
+    // Git and CI values of the description and tag templates, loaded once (see getBuildMetadata)
+    this.buildMetadata = null;
+
+    this.commands = {
+      alias: {
+        usage: 'Manage Lambda aliases',
+        commands: {
+          rollback: {
+            usage: 'Move aliases back to their previous version (or to a history entry)',
+            lifecycleEvents: ['rollback'],
+            options: {
+              function: {
+                usage: 'Only roll back this function (logical name)',
+                shortcut: 'f',
+                type: 'string',
+              },
+              entry: {
+                usage: 'Restore the versions recorded by this history entry ID (see "sls alias history")',
+                shortcut: 'e',
+                type: 'string',
+              },
+            },
+          },
+          history: {
+            usage: 'List the alias deployment history',
+            lifecycleEvents: ['history'],
+          },
+          remove: {
+            usage: 'Remove an alias from every managed function, with its permissions and stage variables',
+            lifecycleEvents: ['remove'],
+            options: {
+              alias: {
+                usage: 'Alias to remove from every function (defaults to the alias of each function)',
+                shortcut: 'a',
+                type: 'string',
+              },
+              force: {
+                usage: 'Remove the alias even if an API Gateway stage still routes to it',
+                type: 'boolean',
+              },
+            },
+          },
+          prune: {
+            usage: 'Delete old published versions that no alias references',
+            lifecycleEvents: ['prune'],
+            options: {
+              retain: {
+                usage: 'Number of versions to keep per function (defaults to custom.alias.retainVersions)',
+                shortcut: 'r',
+                type: 'string',
+              },
+              'dry-run': {
+                usage: 'List the versions that would be deleted without deleting them',
+                type: 'boolean',
+              },
+            },
+          },
+          plan: {
+            usage: 'Show what the alias deployment would change, without changing anything',
+            lifecycleEvents: ['plan'],
+            options: {
+              json: {
+                usage: 'Print the plan as JSON',
+                type: 'boolean',
+              },
+            },
+          },
+          switch: {
+            usage: 'Point the per-function stage variables at another alias (blue/green switch)',
+            lifecycleEvents: ['switch'],
+            options: {
+              to: {
+                usage: 'Alias the stage variables should route to',
+                shortcut: 't',
+                type: 'string',
+                required: true,
+              },
+              function: {
+                usage: 'Only switch these functions (comma-separated logical names)',
+                shortcut: 'f',
+                type: 'string',
+              },
+            },
+          },
+          status: {
+            usage: 'Show alias versions, routing weights and API Gateway stage variables',
+            lifecycleEvents: ['status'],
+            options: {
+              json: {
+                usage: 'Print the status as JSON',
+                type: 'boolean',
+              },
+            },
+          },
+        },
+      },
+    };
+
+    // Extend `sls deploy` with a dry-run of the alias workflow
+    this.commands.deploy = {
+      options: {
+        'alias-dry-run': {
+          usage: 'Deploy the stack, then print the alias deployment plan instead of updating aliases and API Gateway',
+          type: 'boolean',
+        },
+      },
     };
 
     this.hooks = {
       initialize: () => this.initializePlugin(),
+      'after:package:compileEvents': () => this.compileAliasResources(),
       'before:deploy:deploy': () => this.validateConfiguration(),
       'after:deploy:deploy': () => this.deployAliasWorkflow(),
+      'alias:rollback:rollback': () => this.rollbackCommand(),
+      'alias:history:history': () => this.historyCommand(),
+      'alias:status:status': () => this.statusCommand(),
+      'alias:remove:remove': () => this.removeAliasCommand(),
+      'alias:prune:prune': () => this.pruneCommand(),
+      'alias:plan:plan': () => this.planCommand(),
+      'alias:switch:switch': () => this.switchCommand(),
+      'before:remove:remove': () => this.removeAliasOnStackRemove(),
     };
   }
 
@@ -95,23 +334,148 @@ class ServerlessLambdaAliasPlugin {
         default:
           color = '\\x1b[34m'; // Blue
       }
-      this.serverless.cli.log(`${color}${PLUGIN_NAME}: ${message}\\x1b[0m`);
+      const LINE = `${color}${PLUGIN_NAME}: ${message}\\x1b[0m`;
+      const BUFFER = LOG_BUFFER.getStore();
+      if (BUFFER) {
+        BUFFER.push(LINE);
+      } else {
+        this.serverless.cli.log(LINE);
+      }
+    }
+  }
+
+  /**
+   * Runs `task` for each item with at most `limit` tasks in flight, and returns the settled results
+   * in item order. The logs of each task are buffered and printed in item order too.
+   * @returns {Promise<Array<{status: 'fulfilled', value: any}|{status: 'rejected', reason: Error}>>}
+   */
+  async mapWithConcurrency(items, task, limit = this.config.concurrency) {
+    const PARENT_BUFFER = LOG_BUFFER.getStore();
+    const RESULTS = new Array(items.length);
+    const BUFFERS = items.map(() => []);
+    let next = 0;
+    let flushed = 0;
+
+    const FLUSH = () => {
+      while (flushed < items.length && RESULTS[flushed]) {
+        BUFFERS[flushed].forEach((line) => (PARENT_BUFFER ? PARENT_BUFFER.push(line) : this.serverless.cli.log(line)));
+        flushed++;
+      }
+    };
+
+    const WORKER = async () => {
+      while (next < items.length) {
+        const INDEX = next++;
+        try {
+          const VALUE = await LOG_BUFFER.run(BUFFERS[INDEX], () => task(items[INDEX], INDEX));
+          RESULTS[INDEX] = { status: 'fulfilled', value: VALUE };
+        } catch (error) {
+          RESULTS[INDEX] = { status: 'rejected', reason: error };
+        }
+        FLUSH();
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(Math.max(limit, 1), items.length) }, WORKER));
+    return RESULTS;
+  }
+
+  /**
+   * Throws the first error of a mapWithConcurrency run, after every task has settled.
+   */
+  throwFirstRejection(results) {
+    const REJECTED = results.find((result) => result.status === 'rejected');
+    if (REJECTED) throw REJECTED.reason;
+  }
+
+  /**
+   * Prints command output (not subject to debug mode).
+   */
+  printOutput(message) {
+    process.stdout.write(`${message}\n`);
+  }
+
+  // --- AWS access ---
+
+  /**
+   * Returns the AWS SDK client of a service (e.g. "Lambda", "APIGateway"), created once and cached.
+   * Clients already set in `awsClients` are used as they are, which lets tests stub a service.
+   */
+  getAwsClient(service) {
+    if (!this.awsClients.has(service)) {
+      this.awsClients.set(service, new this.provider.sdk[service]({ region: this.config.region }));
+    }
+    return this.awsClients.get(service);
+  }
+
+  isThrottlingError(error) {
+    return AWS_THROTTLING_ERRORS.has(error?.code) || error?.statusCode === 429;
+  }
+
+  /**
+   * Calls an AWS API. Throttling errors are retried with exponential backoff and full jitter.
+   * @param {string} service - SDK service name (e.g. "Lambda")
+   * @param {string} method - SDK method name (e.g. "getAlias")
+   * @param {Object} [params]
+   */
+  async awsRequest(service, method, params = {}) {
+    const CLIENT = this.getAwsClient(service);
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const RESULT = await CLIENT[method](params).promise();
+        const REPORTED_CALL = REPORTED_CALLS[`${service}.${method}`];
+        if (REPORTED_CALL) this.recordReport(REPORTED_CALL[0], REPORTED_CALL[1](params));
+        return RESULT;
+      } catch (error) {
+        if (!this.isThrottlingError(error) || attempt >= AWS_MAX_RETRIES) throw error;
+        const DELAY = Math.round(Math.random() * Math.min(AWS_RETRY_MAX_DELAY, AWS_RETRY_BASE_DELAY * 2 ** attempt));
+        this.debugLog(`${service}.${method} throttled (${error.code}). Retrying in ${DELAY}ms...`, false, 'warning');
+        await new Promise((r) => setTimeout(r, DELAY));
+      }
     }
   }
 
+  /**
+   * Calls a paginated AWS list API (see AWS_PAGINATED_CALLS) and returns the items of every page.
+   */
+  async awsPaginate(service, method, params = {}) {
+    const PAGINATION = AWS_PAGINATED_CALLS[`${service}.${method}`];
+    if (!PAGINATION) throw new Error(`No pagination defined for ${service}.${method}`);
+    const [REQUEST_TOKEN, RESPONSE_TOKEN, ITEMS_KEY] = PAGINATION;
+
+    const ITEMS = [];
+    let token;
+    do {
+      const RESULT = await this.awsRequest(service, method, {
+        ...params,
+        ...(token ? { [REQUEST_TOKEN]: token } : {}),
+      });
+      ITEMS.push(...(RESULT[ITEMS_KEY] || []));
+      token = RESULT[RESPONSE_TOKEN];
+    } while (token);
+    return ITEMS;
+  }
+
   // --- Initialization and Validation ---
 
   /**
    * Initializes plugin configuration from serverless.yml.
    */
   initializePlugin() {
-    const CUSTOM_ALIAS_CONFIG = this.serverless.service?.custom?.alias || {};
+    const ALIAS_CONFIG = this.serverless.service?.custom?.alias || {};
+    // custom.alias may also be a list of alias specs, the first being the alias the stages route to
+    const CUSTOM_ALIAS_CONFIG = Array.isArray(ALIAS_CONFIG)
+      ? { name: this.normalizeAliasSpec(ALIAS_CONFIG[0]).name, aliases: ALIAS_CONFIG.slice(1) }
+      : ALIAS_CONFIG;
     const STAGE = this.provider.getStage();
 
     // Determine the alias name: custom.alias.name > custom.alias (if string) > stage
     this.config.alias =
       CUSTOM_ALIAS_CONFIG.name || (typeof CUSTOM_ALIAS_CONFIG === 'string' ? CUSTOM_ALIAS_CONFIG : STAGE);
 
+    // Aliases moved along with the routed alias (see updateAdditionalAliases)
+    this.config.additionalAliases = (CUSTOM_ALIAS_CONFIG.aliases || []).map((spec) => this.normalizeAliasSpec(spec));
+
     // Load excluded functions
     this.config.excludedFunctions = new Set(CUSTOM_ALIAS_CONFIG.excludedFunctions || []);
 
@@ -126,6 +490,11 @@ class ServerlessLambdaAliasPlugin {
     this.config.skipWebSocketGateway = CUSTOM_ALIAS_CONFIG.skipWebSocketGateway !== undefined
       ? CUSTOM_ALIAS_CONFIG.skipWebSocketGateway : false;
 
+    // Load Deploy HTTP API (API Gateway v2)
+    this.config.skipHttpApi = CUSTOM_ALIAS_CONFIG.skipHttpApi !== undefined
+      ? CUSTOM_ALIAS_CONFIG.skipHttpApi : false;
+    this.config.httpApiStage = CUSTOM_ALIAS_CONFIG.httpApiStage || '$default';
+
     // --- New options for per-function stage variables ---
     this.config.perFunctionStageVars = !!CUSTOM_ALIAS_CONFIG.perFunctionStageVars;
     this.config.stageVarKeyTemplate = CUSTOM_ALIAS_CONFIG.stageVarKeyTemplate || '{functionName}Alias';
@@ -134,8 +503,58 @@ class ServerlessLambdaAliasPlugin {
     // If per-function stage vars are active, never set the global 'alias' stage var here
     this.config.skipSetGlobalStageVar = this.config.perFunctionStageVars || !!CUSTOM_ALIAS_CONFIG.skipSetGlobalStageVar;
 
+    // Traffic shifting (canary / linear / custom steps)
+    this.config.trafficShiftingConfig = CUSTOM_ALIAS_CONFIG.trafficShifting;
+    this.config.trafficShifting = this.getTrafficShiftingSteps(CUSTOM_ALIAS_CONFIG.trafficShifting);
+
+    // Automatic rollback driven by CloudWatch alarms / alias metrics
+    this.config.autoRollbackConfig = CUSTOM_ALIAS_CONFIG.autoRollback;
+    this.config.autoRollback = this.getAutoRollbackConfig(CUSTOM_ALIAS_CONFIG.autoRollback);
+
+    // Deployment history
+    this.config.historyLimit = CUSTOM_ALIAS_CONFIG.historyLimit !== undefined
+      ? Number(CUSTOM_ALIAS_CONFIG.historyLimit) : 50;
+
+    // Remove the alias (permissions, stage variables) on `sls remove`
+    this.config.removeOnStackRemove = !!CUSTOM_ALIAS_CONFIG.removeOnStackRemove;
+
+    // Number of published versions kept per function (null = keep all)
+    this.config.retainVersions = CUSTOM_ALIAS_CONFIG.retainVersions !== undefined
+      ? Number(CUSTOM_ALIAS_CONFIG.retainVersions) : null;
+
+    // Provisioned concurrency of the alias, overridable per function (functions.<name>.alias.provisionedConcurrency)
+    this.config.provisionedConcurrency = CUSTOM_ALIAS_CONFIG.provisionedConcurrency !== undefined
+      ? Number(CUSTOM_ALIAS_CONFIG.provisionedConcurrency) : null;
+
+    // Checked here rather than in validateConfiguration, as the alias commands run without it
+    this.config.concurrency = CUSTOM_ALIAS_CONFIG.concurrency !== undefined ? Number(CUSTOM_ALIAS_CONFIG.concurrency) : 5;
+    if (!Number.isInteger(this.config.concurrency) || this.config.concurrency < 1) {
+      throw new this.serverless.classes.Error(
+        `Invalid concurrency '${CUSTOM_ALIAS_CONFIG.concurrency}': it must be an integer greater than or equal to 1.`,
+      );
+    }
+
+    // 'sdk' updates aliases through the AWS API after the deploy, 'cloudformation' adds them to the template
+    this.config.mode = CUSTOM_ALIAS_CONFIG.mode || 'sdk';
+
+    // Async invocation config of the alias, overridable per function (functions.<name>.alias.asyncConfig)
+    this.config.asyncConfig = CUSTOM_ALIAS_CONFIG.asyncConfig || null;
+
+    // Check that the stage variables referenced by the integration URIs name existing aliases
+    this.config.stageVariableCheck = CUSTOM_ALIAS_CONFIG.stageVariableCheck || 'error';
+
+    // JSON report of each alias deployment (false = no report)
+    this.config.report = CUSTOM_ALIAS_CONFIG.report !== undefined ? CUSTOM_ALIAS_CONFIG.report : DEFAULT_REPORT_PATH;
+
+    // Templates with git and CI placeholders (see renderMetadataTemplate)
+    this.config.versionDescription = CUSTOM_ALIAS_CONFIG.versionDescription !== undefined
+      ? CUSTOM_ALIAS_CONFIG.versionDescription : DEFAULT_VERSION_DESCRIPTION;
+    this.config.aliasDescription = CUSTOM_ALIAS_CONFIG.aliasDescription !== undefined
+      ? CUSTOM_ALIAS_CONFIG.aliasDescription : DEFAULT_ALIAS_DESCRIPTION;
+    this.config.tags = CUSTOM_ALIAS_CONFIG.tags || {};
+
     // Check what event types are used in this service
-    const { hasHttpEvents, hasWebsocketEvents } = this.detectEventTypes();
+    const { hasHttpEvents, hasWebsocketEvents, hasHttpApiEvents } = this.detectEventTypes();
 
     this.debugLog(`Initialized with Alias: ${this.config.alias}`, false, 'success');
     this.debugLog(`Region: ${this.config.region}`);
@@ -152,6 +571,18 @@ class ServerlessLambdaAliasPlugin {
       );
     }
 
+    if (this.config.trafficShifting.length > 0) {
+      this.debugLog(
+        `Traffic shifting ENABLED: ${this.config.trafficShifting.map((step) => `${step.percentage}%/${step.wait}s`).join(' -> ')} -> 100%`,
+      );
+    }
+
+    if (this.config.autoRollback) {
+      this.debugLog(
+        `Automatic rollback ENABLED: watching ${this.config.autoRollback.alarms.length} alarms for ${this.config.autoRollback.watchPeriod}s.`,
+      );
+    }
+
     if (hasHttpEvents) {
       if (this.config.restApiId) {
         this.debugLog(`HTTP API Gateway ID: ${this.config.restApiId}`);
@@ -176,18 +607,27 @@ class ServerlessLambdaAliasPlugin {
       }
     }
 
-    if (!hasHttpEvents && !hasWebsocketEvents) {
+    if (hasHttpApiEvents) {
+      if (this.config.httpApiId) {
+        this.debugLog(`HTTP API (v2) ID: ${this.config.httpApiId}`);
+      } else {
+        this.debugLog('No HTTP API ID found in provider config, it will be resolved from the stack after deployment.');
+      }
+    }
+
+    if (!hasHttpEvents && !hasWebsocketEvents && !hasHttpApiEvents) {
       this.debugLog('No API Gateway events detected in functions.', false, 'warning');
     }
   }
 
   /**
-   * Detects what event types (HTTP, WebSocket) are used in this service.
+   * Detects what event types (HTTP, WebSocket, HTTP API) are used in this service.
    */
   detectEventTypes() {
     const FUNCTIONS = this.serverless.service.functions || {};
     let hasHttpEvents = false;
     let hasWebsocketEvents = false;
+    let hasHttpApiEvents = false;
 
     // Check all functions' events to detect API types
     Object.values(FUNCTIONS).forEach((funcDef) => {
@@ -195,11 +635,95 @@ class ServerlessLambdaAliasPlugin {
       funcDef.events.forEach((event) => {
         if (event.http) hasHttpEvents = true;
         if (event.websocket) hasWebsocketEvents = true;
+        if (event.httpApi) hasHttpApiEvents = true;
       });
     });
 
-    this.debugLog(`Detected event types - HTTP: ${hasHttpEvents}, WebSocket: ${hasWebsocketEvents}`);
-    return { hasHttpEvents, hasWebsocketEvents };
+    this.debugLog(
+      `Detected event types - HTTP: ${hasHttpEvents}, WebSocket: ${hasWebsocketEvents}, HTTP API: ${hasHttpApiEvents}`,
+    );
+    return { hasHttpEvents, hasWebsocketEvents, hasHttpApiEvents };
+  }
+
+  /**
+   * Normalizes an alias spec: a name, or `{ name, version }` where version is `new` (default), `previous` or a version number.
+   * @returns {{name: string, version: string}}
+   */
+  normalizeAliasSpec(spec) {
+    if (typeof spec === 'string') return { name: spec, version: 'new' };
+    return { name: spec?.name, version: spec?.version !== undefined ? String(spec.version) : 'new' };
+  }
+
+  validateAliasSpecs() {
+    const ERRORS = [];
+    const ALIAS_CONFIG = this.serverless.service?.custom?.alias;
+    if (Array.isArray(ALIAS_CONFIG) && this.normalizeAliasSpec(ALIAS_CONFIG[0]).version !== 'new') {
+      ERRORS.push(`- The first alias (${this.config.alias}) is the one the stages route to and always moves to the new version.`);
+    }
+
+    const NAMES = [this.config.alias];
+    [{ name: this.config.alias, version: 'new' }, ...this.config.additionalAliases].forEach((spec) => {
+      if (typeof spec.name !== 'string' || !ALIAS_NAME_PATTERN.test(spec.name)) {
+        ERRORS.push(`- Invalid alias name '${spec.name}': use 1-128 letters, digits, '-' or '_', not only digits.`);
+      }
+      if (!ALIAS_SPEC_VERSIONS.includes(spec.version) && !/^\d+$/.test(spec.version)) {
+        ERRORS.push(`- Invalid version '${spec.version}' of alias '${spec.name}': use ${ALIAS_SPEC_VERSIONS.join(', ')} or a version number.`);
+      }
+    });
+    this.config.additionalAliases.forEach((spec) => {
+      if (NAMES.includes(spec.name)) ERRORS.push(`- Alias '${spec.name}' is configured more than once.`);
+      NAMES.push(spec.name);
+    });
+    return ERRORS;
+  }
+
+  /**
+   * Validates the overrides of `functions.<name>.alias` (provisionedConcurrency, asyncConfig and
+   * functionUrl are validated by their own methods).
+   */
+  validateFunctionAliasConfig(functions) {
+    const INVALID_CONFIG = [];
+    Object.entries(functions || {}).forEach(([funcName, funcDef]) => {
+      const ALIAS_CONFIG = funcDef.alias;
+      if (ALIAS_CONFIG === undefined) return;
+      if (typeof ALIAS_CONFIG !== 'object' || ALIAS_CONFIG === null || Array.isArray(ALIAS_CONFIG)) {
+        INVALID_CONFIG.push(`- Function '${funcName}' alias must be an object`);
+        return;
+      }
+      if (ALIAS_CONFIG.name !== undefined && (typeof ALIAS_CONFIG.name !== 'string' || !ALIAS_NAME_PATTERN.test(ALIAS_CONFIG.name))) {
+        INVALID_CONFIG.push(`- Function '${funcName}' has invalid alias.name '${ALIAS_CONFIG.name}': use 1-128 letters, digits, '-' or '_', not only digits.`);
+      }
+      ['exclude', 'forcePublish'].forEach((key) => {
+        if (ALIAS_CONFIG[key] !== undefined && typeof ALIAS_CONFIG[key] !== 'boolean') {
+          INVALID_CONFIG.push(`- Function '${funcName}' alias.${key} must be a boolean`);
+        }
+      });
+      if (ALIAS_CONFIG.stageVarKey !== undefined) {
+        if (typeof ALIAS_CONFIG.stageVarKey !== 'string' || !STAGE_VARIABLE_KEY_PATTERN.test(ALIAS_CONFIG.stageVarKey)) {
+          INVALID_CONFIG.push(`- Function '${funcName}' has invalid alias.stageVarKey '${ALIAS_CONFIG.stageVarKey}': use letters, digits or '_'.`);
+        } else if (!this.config.perFunctionStageVars) {
+          INVALID_CONFIG.push(`- Function '${funcName}' alias.stageVarKey requires perFunctionStageVars.`);
+        }
+      }
+      if (ALIAS_CONFIG.events !== undefined) {
+        if (!Array.isArray(ALIAS_CONFIG.events)) {
+          INVALID_CONFIG.push(`- Function '${funcName}' alias.events must be a list of event types`);
+        } else {
+          ALIAS_CONFIG.events.filter((type) => !REWIRABLE_EVENT_TYPES.includes(type)).forEach((type) => {
+            INVALID_CONFIG.push(`- Function '${funcName}' has invalid alias.events type '${type}'. Valid types are: ${REWIRABLE_EVENT_TYPES.join(', ')}`);
+          });
+        }
+      }
+
+      // In global mode every API integration routes through the single 'alias' stage variable
+      const ROUTES_THROUGH_STAGE_VARIABLE = (funcDef.events || []).some((event) => ['http', 'websocket', 'httpApi']
+        .some((type) => event[type] && (!Array.isArray(ALIAS_CONFIG.events) || ALIAS_CONFIG.events.includes(type))));
+      if (ALIAS_CONFIG.name && ALIAS_CONFIG.name !== this.config.alias && !ALIAS_CONFIG.exclude
+        && ROUTES_THROUGH_STAGE_VARIABLE && !this.config.perFunctionStageVars) {
+        INVALID_CONFIG.push(`- Function '${funcName}' alias.name '${ALIAS_CONFIG.name}' differs from '${this.config.alias}', which requires perFunctionStageVars for its API events.`);
+      }
+    });
+    return INVALID_CONFIG;
   }
 
   /**
@@ -233,6 +757,80 @@ class ServerlessLambdaAliasPlugin {
       throw new this.serverless.classes.Error(`Invalid API Gateway configuration found:\\n${INVALID_CONFIG.join('\\n')}`);
     }
 
+    if (this.config.report !== false && (typeof this.config.report !== 'string' || !this.config.report)) {
+      throw new this.serverless.classes.Error('Invalid report: it must be a file path or false.');
+    }
+
+    ['versionDescription', 'aliasDescription'].forEach((key) => {
+      if (typeof this.config[key] !== 'string') {
+        throw new this.serverless.classes.Error(`Invalid ${key}: it must be a string template.`);
+      }
+    });
+    if (typeof this.config.tags !== 'object' || Array.isArray(this.config.tags)
+      || Object.values(this.config.tags).some((value) => typeof value !== 'string')) {
+      throw new this.serverless.classes.Error('Invalid tags: it must map tag keys to string templates.');
+    }
+
+    const INVALID_ALIAS_SPECS = this.validateAliasSpecs();
+    if (INVALID_ALIAS_SPECS.length > 0) {
+      throw new this.serverless.classes.Error(`Invalid alias configuration:\n${INVALID_ALIAS_SPECS.join('\n')}`);
+    }
+
+    const INVALID_FUNCTION_ALIAS_CONFIG = this.validateFunctionAliasConfig(SERVICE.functions);
+    if (INVALID_FUNCTION_ALIAS_CONFIG.length > 0) {
+      throw new this.serverless.classes.Error(
+        `Invalid function alias configuration found:\n${INVALID_FUNCTION_ALIAS_CONFIG.join('\n')}`,
+      );
+    }
+
+    if (!STAGE_VARIABLE_CHECK_MODES.includes(this.config.stageVariableCheck)) {
+      throw new this.serverless.classes.Error(
+        `Invalid stageVariableCheck '${this.config.stageVariableCheck}'. Valid values are: ${STAGE_VARIABLE_CHECK_MODES.join(', ')}`,
+      );
+    }
+
+    if (!ALIAS_MODES.includes(this.config.mode)) {
+      throw new this.serverless.classes.Error(
+        `Invalid mode '${this.config.mode}'. Valid modes are: ${ALIAS_MODES.join(', ')}`,
+      );
+    }
+
+    const INVALID_TRAFFIC_SHIFTING = this.validateTrafficShifting(this.config.trafficShiftingConfig);
+    if (INVALID_TRAFFIC_SHIFTING.length > 0) {
+      throw new this.serverless.classes.Error(
+        `Invalid traffic shifting configuration found:\n${INVALID_TRAFFIC_SHIFTING.join('\n')}`,
+      );
+    }
+
+    if (this.config.retainVersions !== null
+      && (!Number.isInteger(this.config.retainVersions) || this.config.retainVersions < 1)) {
+      throw new this.serverless.classes.Error('Invalid retainVersions: it must be an integer greater than or equal to 1.');
+    }
+
+    const INVALID_ASYNC_CONFIG = this.validateAsyncConfig(SERVICE.functions);
+    if (INVALID_ASYNC_CONFIG.length > 0) {
+      throw new this.serverless.classes.Error(`Invalid async config found:\n${INVALID_ASYNC_CONFIG.join('\n')}`);
+    }
+
+    const INVALID_FUNCTION_URLS = this.validateFunctionUrls(SERVICE.functions);
+    if (INVALID_FUNCTION_URLS.length > 0) {
+      throw new this.serverless.classes.Error(`Invalid function URL configuration found:\n${INVALID_FUNCTION_URLS.join('\n')}`);
+    }
+
+    const INVALID_PROVISIONED_CONCURRENCY = this.validateProvisionedConcurrency(SERVICE.functions);
+    if (INVALID_PROVISIONED_CONCURRENCY.length > 0) {
+      throw new this.serverless.classes.Error(
+        `Invalid provisioned concurrency configuration found:\n${INVALID_PROVISIONED_CONCURRENCY.join('\n')}`,
+      );
+    }
+
+    const INVALID_AUTO_ROLLBACK = this.validateAutoRollback(this.config.autoRollbackConfig);
+    if (INVALID_AUTO_ROLLBACK.length > 0) {
+      throw new this.serverless.classes.Error(
+        `Invalid automatic rollback configuration found:\n${INVALID_AUTO_ROLLBACK.join('\n')}`,
+      );
+    }
+
     // Warn if API Gateway deployment is disabled
     if (this.config.skipApiGateway) {
       this.debugLog(
@@ -250,6 +848,14 @@ class ServerlessLambdaAliasPlugin {
       );
     }
 
+    if (this.config.skipHttpApi) {
+      this.debugLog(
+        'WARNING: HTTP API deployment is disabled. Ensure APIs are deployed manually if integration URIs have changed.',
+        true,
+        'warning'
+      );
+    }
+
     this.debugLog('Configuration validated successfully.', false, 'success');
   }
 
@@ -332,840 +938,4702 @@ class ServerlessLambdaAliasPlugin {
     });
   }
 
-  // --- Helpers for per-function stage vars ---
+  // --- Traffic shifting ---
 
   /**
-   * Build the stage variable key for a function based on template and sanitization.
-   * @param {string} functionName - The logical serverless function name (as in serverless.yml)
-   * @returns {string} stage variable key (e.g., "audiencesAlias")
+   * Parses a traffic shifting preset name (CodeDeploy-style) into steps.
+   * Supported: AllAtOnce, Canary<P>Percent<M>Minute(s), Linear<P>PercentEvery<M>Minute(s).
+   * @param {string} type - Preset name (e.g. "Canary10Percent5Minutes")
+   * @returns {Array<{percentage: number, wait: number}>|null} steps, or null when the preset is unknown
    */
-  buildStageVarKey(functionName) {
-    const template = this.config.stageVarKeyTemplate || '{functionName}Alias';
-    const aliasName = this.config.alias || '';
-    let key = template
-      .replace(/{functionName}/g, functionName || 'function')
-      .replace(/{aliasName}/g, aliasName);
-    if (this.config.stageVarSanitize) {
-      key = key.replace(/[^A-Za-z0-9_]/g, '_');
+  parseTrafficShiftingPreset(type) {
+    if (type === 'AllAtOnce') return [];
+
+    const CANARY = /^Canary(\d+)Percent(\d+)Minutes?$/.exec(type);
+    if (CANARY) {
+      return [{ percentage: Number(CANARY[1]), wait: Number(CANARY[2]) * 60 }];
     }
-    return key;
+
+    const LINEAR = /^Linear(\d+)PercentEvery(\d+)Minutes?$/.exec(type);
+    if (LINEAR) {
+      const INCREMENT = Number(LINEAR[1]);
+      const STEPS = [];
+      // A 0% increment never reaches 100% (validateTrafficShifting rejects it before the deploy)
+      for (let percentage = INCREMENT; INCREMENT > 0 && percentage < 100; percentage += INCREMENT) {
+        STEPS.push({ percentage, wait: Number(LINEAR[2]) * 60 });
+      }
+      return STEPS;
+    }
+
+    return null;
   }
 
   /**
-   * Returns the stage variable expression to inject in integration URIs.
-   * For global mode: ${stageVariables.alias}
-   * For per-function mode: ${stageVariables.<key>}
+   * Resolves `custom.alias.trafficShifting` into an ordered list of steps.
+   * Each step routes `percentage` of the alias traffic to the new version, then waits `wait` seconds.
+   * The alias is moved to the new version (100%) after the last step.
    */
-  getStageVarExprForFunction(functionName) {
-    if (!this.config.perFunctionStageVars) {
-      return '${stageVariables.alias}';
+  getTrafficShiftingSteps(trafficShifting) {
+    if (!trafficShifting) return [];
+
+    if (typeof trafficShifting === 'string') {
+      return this.parseTrafficShiftingPreset(trafficShifting) || [];
     }
-    const key = this.buildStageVarKey(functionName);
-    return `\${stageVariables.${key}}`;
-  }
 
-  // --- Core Deployment Workflow ---
+    if (Array.isArray(trafficShifting.steps)) {
+      return trafficShifting.steps.map((step) => ({
+        percentage: Number(step?.percentage),
+        wait: Number(step?.wait || 0),
+      }));
+    }
 
-  async deployAliasWorkflow() {
-    try {
-      this.debugLog(`${PLUGIN_NAME}: Starting alias deployment workflow...`, false, 'info');
-      await this.getAwsAccountId();
+    if (trafficShifting.type) {
+      return this.parseTrafficShiftingPreset(trafficShifting.type) || [];
+    }
 
-      const FUNCTIONS = this.getFunctionsForAliasDeployment();
-      if (FUNCTIONS.length === 0) {
-        this.debugLog('No functions to process for alias deployment. Exiting.', true, 'warning');
-        return;
-      }
+    return [];
+  }
 
-      this.debugLog(`Found ${FUNCTIONS.length} functions to process for alias deployment.`);
-      const CREATED_ALIASES = await this.createOrUpdateFunctionAliases(FUNCTIONS);
+  /**
+   * Validates `custom.alias.trafficShifting`.
+   */
+  validateTrafficShifting(trafficShifting) {
+    const INVALID_CONFIG = [];
+    if (!trafficShifting) return INVALID_CONFIG;
 
-      if (CREATED_ALIASES.length === 0) {
-        this.debugLog(
-          'No aliases were created or updated. Consider using the --force flag to force alias deployment if needed.',
-          false,
-          'warning',
-        );
-        return;
-      }
+    const TYPE = typeof trafficShifting === 'string' ? trafficShifting : trafficShifting.type;
+    if (TYPE && this.parseTrafficShiftingPreset(TYPE) === null) {
+      INVALID_CONFIG.push(
+        `Unknown traffic shifting type '${TYPE}'. Use AllAtOnce, Canary<P>Percent<M>Minutes or Linear<P>PercentEvery<M>Minutes`,
+      );
+      return INVALID_CONFIG;
+    }
 
-      const HTTP_ALIASES = CREATED_ALIASES.filter((alias) => this.hasHttpEvents(alias.name, FUNCTIONS));
-      const WEBSOCKET_ALIASES = CREATED_ALIASES.filter((alias) => this.hasWebSocketEvents(alias.name, FUNCTIONS));
+    // Lambda only accepts routing weights strictly between 0 and 1
+    const PRESET_PERCENTAGE = TYPE && /^(?:Canary|Linear)(\d+)Percent/.exec(TYPE);
+    if (PRESET_PERCENTAGE && (Number(PRESET_PERCENTAGE[1]) < 1 || Number(PRESET_PERCENTAGE[1]) > 99)) {
+      INVALID_CONFIG.push(`Invalid traffic shifting type '${TYPE}': the percentage must be between 1 and 99`);
+      return INVALID_CONFIG;
+    }
 
-      if (HTTP_ALIASES.length > 0 && this.config.restApiId) {
-        await this.updateApiGatewayIntegrations(FUNCTIONS, HTTP_ALIASES);
-      } else if (HTTP_ALIASES.length > 0) {
-        this.debugLog('HTTP events found but no REST API ID provided. Skipping HTTP integrations.', false, 'warning');
+    if (typeof trafficShifting === 'object' && trafficShifting.steps !== undefined) {
+      if (TYPE) {
+        INVALID_CONFIG.push('trafficShifting accepts either a type or a list of steps, not both');
+      }
+      if (!Array.isArray(trafficShifting.steps)) {
+        INVALID_CONFIG.push('trafficShifting.steps must be a list of { percentage, wait } entries');
+        return INVALID_CONFIG;
       }
 
-      if (WEBSOCKET_ALIASES.length > 0 && this.config.websocketApiId) {
-        await this.updateWebSocketApiIntegrations(FUNCTIONS, WEBSOCKET_ALIASES);
-      } else if (WEBSOCKET_ALIASES.length > 0) {
-        this.debugLog(
-          'WebSocket events found but no WebSocket API ID provided. Skipping WebSocket integrations.',
-          false,
-          'warning',
-        );
+      let previousPercentage = 0;
+      trafficShifting.steps.forEach((step, index) => {
+        const PERCENTAGE = Number(step?.percentage);
+        const WAIT = Number(step?.wait || 0);
+        if (!Number.isFinite(PERCENTAGE) || PERCENTAGE <= 0 || PERCENTAGE >= 100) {
+          INVALID_CONFIG.push(`trafficShifting.steps[${index}].percentage must be greater than 0 and lower than 100`);
+        } else if (PERCENTAGE <= previousPercentage) {
+          INVALID_CONFIG.push(`trafficShifting.steps[${index}].percentage must be greater than the previous step`);
+        } else {
+          previousPercentage = PERCENTAGE;
+        }
+        if (!Number.isFinite(WAIT) || WAIT < 0) {
+          INVALID_CONFIG.push(`trafficShifting.steps[${index}].wait must be a positive number of seconds`);
+        }
+      });
+    }
+
+    return INVALID_CONFIG;
+  }
+
+  /**
+   * Gradually shifts traffic from the previous version to the new version of each alias.
+   * All aliases move together: each step updates the routing weights of every alias, then waits.
+   * Once all steps are done, every alias is finalized on its new version without routing config.
+   * When automatic rollback is enabled, alarms are polled during every step wait.
+   * @param {Array<{functionName: string, previousVersion: string, version: string}>} shiftingAliases
+   * @param {Array<Object>} [changedAliases] - Every alias moved by this deployment (rolled back on alarm)
+   */
+  async shiftAliasTraffic(shiftingAliases, changedAliases = shiftingAliases) {
+    const STEPS = this.config.trafficShifting;
+    const STARTED_AT = new Date();
+
+    for (const [INDEX, STEP] of STEPS.entries()) {
+      // The first step is applied when the alias is moved in createOrUpdateFunctionAliases
+      if (INDEX > 0) {
+        for (const ALIAS of shiftingAliases) {
+          await this.createOrUpdateAlias(ALIAS.functionName, ALIAS.previousVersion, {
+            [ALIAS.version]: STEP.percentage / 100,
+          }, ALIAS.aliasName);
+        }
       }
 
       this.debugLog(
-        `${PLUGIN_NAME}: Successfully deployed aliases for ${CREATED_ALIASES.length} functions.`,
-        false,
+        `Traffic shifting step ${INDEX + 1}/${STEPS.length}: ${STEP.percentage}% of '${this.config.alias}' traffic on the new version for ${shiftingAliases.length} functions. Waiting ${STEP.wait}s...`,
+        true,
         'info',
       );
-    } catch (error) {
-      this.debugLog(`Error in alias deployment workflow: ${error.message}`, true, 'error');
-      this.debugLog(error?.stack, false, 'error');
-      throw new this.serverless.classes.Error(`Alias deployment failed: ${error.message}`);
+      await this.waitAndWatchRollout(changedAliases, STEP.wait, STARTED_AT);
     }
-  }
 
-  hasHttpEvents(functionName, functions) {
-    const FUNCTION = functions.find((f) => f.name === functionName);
-    if (!FUNCTION) return false;
-    return FUNCTION.events.some((event) => event.http);
+    for (const ALIAS of shiftingAliases) {
+      await this.createOrUpdateAlias(ALIAS.functionName, ALIAS.version, {}, ALIAS.aliasName);
+    }
+
+    this.debugLog(
+      `Traffic shifting complete: 100% of '${this.config.alias}' traffic on the new version for ${shiftingAliases.length} functions.`,
+      true,
+      'success',
+    );
   }
 
-  hasWebSocketEvents(functionName, functions) {
-    const FUNCTION = functions.find((f) => f.name === functionName);
-    if (!FUNCTION) return false;
-    return FUNCTION.events.some((event) => event.websocket);
+  // --- Automatic rollback ---
+
+  /**
+   * Resolves `custom.alias.autoRollback` into a normalized watch configuration.
+   * @returns {{alarms: string[], metrics: {errors: number, throttles: number}, watchPeriod: number, pollInterval: number}|null}
+   */
+  getAutoRollbackConfig(autoRollback) {
+    if (!autoRollback) return null;
+
+    const METRICS = autoRollback.metrics === true ? { errors: 1, throttles: 1 } : autoRollback.metrics || {};
+
+    return {
+      alarms: autoRollback.alarms || [],
+      metrics: {
+        errors: METRICS.errors !== undefined ? Number(METRICS.errors) : null,
+        throttles: METRICS.throttles !== undefined ? Number(METRICS.throttles) : null,
+      },
+      watchPeriod: Number(autoRollback.watchPeriod ?? 300),
+      pollInterval: Number(autoRollback.pollInterval ?? 30),
+    };
   }
 
-  async getAwsAccountId() {
-    if (this.config.accountId) return this.config.accountId;
+  /**
+   * Validates `custom.alias.autoRollback`.
+   */
+  validateAutoRollback(autoRollback) {
+    const INVALID_CONFIG = [];
+    if (!autoRollback) return INVALID_CONFIG;
+
+    if (typeof autoRollback !== 'object') {
+      INVALID_CONFIG.push('autoRollback must be an object with alarms and/or metrics');
+      return INVALID_CONFIG;
+    }
+    if (autoRollback.alarms !== undefined && !Array.isArray(autoRollback.alarms)) {
+      INVALID_CONFIG.push('autoRollback.alarms must be a list of CloudWatch alarm names');
+    }
+
+    const CONFIG = this.getAutoRollbackConfig(autoRollback);
+    if (CONFIG.alarms.length === 0 && CONFIG.metrics.errors === null && CONFIG.metrics.throttles === null) {
+      INVALID_CONFIG.push('autoRollback requires at least one alarm or one metric threshold (errors, throttles)');
+    }
+    Object.entries(CONFIG.metrics).forEach(([metric, threshold]) => {
+      if (threshold !== null && (!Number.isFinite(threshold) || threshold < 1)) {
+        INVALID_CONFIG.push(`autoRollback.metrics.${metric} must be a number greater than or equal to 1`);
+      }
+    });
+    if (!Number.isFinite(CONFIG.watchPeriod) || CONFIG.watchPeriod < 0) {
+      INVALID_CONFIG.push('autoRollback.watchPeriod must be a positive number of seconds');
+    }
+    if (!Number.isFinite(CONFIG.pollInterval) || CONFIG.pollInterval < 1) {
+      INVALID_CONFIG.push('autoRollback.pollInterval must be at least 1 second');
+    }
+
+    return INVALID_CONFIG;
+  }
+
+  /**
+   * Returns the aliases whose version was changed by this deployment.
+   */
+  getChangedAliases(aliases) {
+    return aliases.filter((alias) => alias.previousVersion !== alias.version);
+  }
+
+  /**
+   * Checks the configured alarms and alias-scoped metrics of the new versions.
+   * @param {Array<Object>} aliases - Aliases moved by this deployment
+   * @param {Date} since - Start of the metric window
+   * @returns {Promise<string[]>} Human-readable list of triggered conditions (empty when healthy)
+   */
+  async getRollbackTriggers(aliases, since) {
+    const TRIGGERS = [];
+    const { alarms, metrics } = this.config.autoRollback;
+
+    if (alarms.length > 0) {
+      const RESULT = await this.awsRequest('CloudWatch', 'describeAlarms', { AlarmNames: alarms });
+      const ALARMS = [...(RESULT.MetricAlarms || []), ...(RESULT.CompositeAlarms || [])];
+      ALARMS.filter((alarm) => alarm.StateValue === 'ALARM').forEach((alarm) => {
+        TRIGGERS.push(`Alarm '${alarm.AlarmName}' is in ALARM state${alarm.StateReason ? `: ${alarm.StateReason}` : ''}`);
+      });
+    }
+
+    const METRICS = [
+      ['Errors', metrics.errors],
+      ['Throttles', metrics.throttles],
+    ].filter(([, threshold]) => threshold !== null);
+
+    for (const ALIAS of aliases) {
+      for (const [METRIC_NAME, THRESHOLD] of METRICS) {
+        const RESULT = await this.awsRequest('CloudWatch', 'getMetricStatistics', {
+          Namespace: 'AWS/Lambda',
+          MetricName: METRIC_NAME,
+          Dimensions: [
+            { Name: 'FunctionName', Value: ALIAS.functionName },
+            { Name: 'Resource', Value: `${ALIAS.functionName}:${ALIAS.aliasName}` },
+            { Name: 'ExecutedVersion', Value: ALIAS.version },
+          ],
+          StartTime: since,
+          EndTime: new Date(),
+          Period: 60,
+          Statistics: ['Sum'],
+        });
+        const TOTAL = (RESULT.Datapoints || []).reduce((sum, datapoint) => sum + (datapoint.Sum || 0), 0);
+        if (TOTAL >= THRESHOLD) {
+          TRIGGERS.push(
+            `${METRIC_NAME} for '${ALIAS.functionName}:${ALIAS.aliasName}' (version ${ALIAS.version}) = ${TOTAL} (threshold ${THRESHOLD})`,
+          );
+        }
+      }
+    }
+
+    return TRIGGERS;
+  }
+
+  /**
+   * Waits for the given number of seconds. When automatic rollback is enabled, polls the
+   * rollback triggers meanwhile and rolls back every changed alias as soon as one fires.
+   * @throws {Error} When a rollback was performed
+   */
+  async waitAndWatchRollout(aliases, seconds, since) {
+    if (!this.config.autoRollback) {
+      await new Promise((r) => setTimeout(r, seconds * 1000));
+      return;
+    }
+
+    const CHANGED_ALIASES = this.getChangedAliases(aliases);
+    const DEADLINE = Date.now() + seconds * 1000;
+
+    while (true) {
+      const TRIGGERS = await this.getRollbackTriggers(CHANGED_ALIASES, since);
+      if (TRIGGERS.length > 0) {
+        await this.rollbackAliases(CHANGED_ALIASES, TRIGGERS);
+      }
+
+      const REMAINING = DEADLINE - Date.now();
+      if (REMAINING <= 0) return;
+      await new Promise((r) => setTimeout(r, Math.min(REMAINING, this.config.autoRollback.pollInterval * 1000)));
+    }
+  }
+
+  /**
+   * Watches the rollout for `autoRollback.watchPeriod` seconds after all aliases moved.
+   */
+  async watchAliasRollout(aliases) {
+    const CHANGED_ALIASES = this.getChangedAliases(aliases);
+    if (!this.config.autoRollback || CHANGED_ALIASES.length === 0) return;
+
+    this.debugLog(
+      `Watching rollout of alias '${this.config.alias}' for ${this.config.autoRollback.watchPeriod}s (${CHANGED_ALIASES.length} functions)...`,
+      true,
+      'info',
+    );
+    await this.waitAndWatchRollout(CHANGED_ALIASES, this.config.autoRollback.watchPeriod, new Date());
+    this.debugLog(`No rollback triggers fired for alias '${this.config.alias}'. Rollout is healthy.`, true, 'success');
+  }
+
+  /**
+   * Moves every alias back to its previous version and fails with a report of what happened.
+   * The additional aliases moved with an alias are reverted too; those created by the deployment are deleted.
+   * @throws {Error} Always, with the list of triggers and rolled back functions
+   */
+  async rollbackAliases(aliases, triggers) {
+    this.debugLog(`Rollback triggered for alias '${this.config.alias}':\n  - ${triggers.join('\n  - ')}`, true, 'error');
+
+    const ROLLED_BACK = [];
+    const ROLLED_BACK_ALIASES = [];
+    const NOT_ROLLED_BACK = [];
+    for (const ALIAS of aliases) {
+      for (const ADDITIONAL_ALIAS of ALIAS.additionalAliases || []) {
+        const LABEL = `${ALIAS.functionName}:${ADDITIONAL_ALIAS.name}`;
+        try {
+          if (ADDITIONAL_ALIAS.previousVersion) {
+            await this.createOrUpdateAlias(ALIAS.functionName, ADDITIONAL_ALIAS.previousVersion, {}, ADDITIONAL_ALIAS.name);
+            ROLLED_BACK.push(`${LABEL} ${ADDITIONAL_ALIAS.version} -> ${ADDITIONAL_ALIAS.previousVersion}`);
+          } else {
+            await this.awsRequest('Lambda', 'deleteAlias', { FunctionName: ALIAS.functionName, Name: ADDITIONAL_ALIAS.name });
+            ROLLED_BACK.push(`${LABEL} deleted`);
+          }
+        } catch (error) {
+          NOT_ROLLED_BACK.push(`${LABEL} (${error.message})`);
+        }
+      }
+
+      if (!ALIAS.previousVersion) {
+        NOT_ROLLED_BACK.push(`${ALIAS.functionName} (new alias, no previous version)`);
+        continue;
+      }
+      try {
+        await this.createOrUpdateAlias(ALIAS.functionName, ALIAS.previousVersion, {}, ALIAS.aliasName);
+        ROLLED_BACK.push(`${ALIAS.functionName} ${ALIAS.version} -> ${ALIAS.previousVersion}`);
+        ROLLED_BACK_ALIASES.push({ ...ALIAS, version: ALIAS.previousVersion, previousVersion: ALIAS.version });
+      } catch (error) {
+        NOT_ROLLED_BACK.push(`${ALIAS.functionName} (${error.message})`);
+      }
+    }
+
+    await this.recordDeploymentHistory('auto-rollback', ROLLED_BACK_ALIASES);
+
+    const REPORT = [
+      `Rollout of alias '${this.config.alias}' was rolled back.`,
+      `Triggers:\n  - ${triggers.join('\n  - ')}`,
+      `Rolled back:\n  - ${ROLLED_BACK.length > 0 ? ROLLED_BACK.join('\n  - ') : 'none'}`,
+    ];
+    if (NOT_ROLLED_BACK.length > 0) {
+      REPORT.push(`Not rolled back:\n  - ${NOT_ROLLED_BACK.join('\n  - ')}`);
+    }
+    throw new this.serverless.classes.Error(REPORT.join('\n'));
+  }
+
+  // --- Deployment history & rollback command ---
+
+  /**
+   * S3 location of the deployment history of an alias.
+   * Stored next to the Serverless artifacts: <prefix>/<service>/<stage>/serverless-aws-alias-v4/<alias>-history.json
+   */
+  async getHistoryLocation(aliasName = this.config.alias) {
+    const BUCKET = await this.provider.getServerlessDeploymentBucketName();
+    const PREFIX = this.provider.getDeploymentPrefix ? this.provider.getDeploymentPrefix() : 'serverless';
+    const KEY = `${PREFIX}/${this.serverless.service.service}/${this.provider.getStage()}/${PLUGIN_NAME}/${aliasName}-history.json`;
+    return { Bucket: BUCKET, Key: KEY };
+  }
+
+  /**
+   * Loads the deployment history of an alias (by default the routed alias).
+   * @returns {Promise<{alias: string, entries: Array<Object>}>}
+   */
+  async loadDeploymentHistory(aliasName = this.config.alias) {
+    const LOCATION = await this.getHistoryLocation(aliasName);
     try {
-      this.debugLog('Fetching AWS account ID...');
-      const STS = new this.provider.sdk.STS({ region: this.config.region });
-      const IDENTITY = await STS.getCallerIdentity().promise();
-      this.config.accountId = IDENTITY.Account;
-      this.debugLog(`AWS Account ID: ${this.config.accountId}`);
-      return this.config.accountId;
+      const RESULT = await this.awsRequest('S3', 'getObject', LOCATION);
+      return JSON.parse(RESULT.Body.toString());
     } catch (error) {
-      this.debugLog(`Error getting AWS account ID: ${error.message}`, true, 'error');
+      if (error.code === 'NoSuchKey' || error.code === 'NotFound') {
+        return { alias: aliasName, entries: [] };
+      }
       throw error;
     }
   }
 
-  getFunctionsForAliasDeployment() {
-    const SERVICES = this.serverless.service;
-    const FUNCTIONS = [];
+  /**
+   * Returns the alias names the functions are deployed to, the routed alias first.
+   * Functions with an `alias.name` override keep their history under their own alias.
+   */
+  getFunctionAliasNames(functions) {
+    return [...new Set([this.config.alias, ...functions.map((fn) => fn.aliasName)])];
+  }
 
-    Object.entries(SERVICES.functions || {}).forEach(([funcName, funcDef]) => {
-      if (this.config.excludedFunctions.has(funcName)) {
-        this.debugLog(`Skipping excluded function: ${funcName}`);
-        return;
+  async saveDeploymentHistory(history, aliasName = this.config.alias) {
+    const LOCATION = await this.getHistoryLocation(aliasName);
+    await this.awsRequest('S3', 'putObject', {
+      ...LOCATION,
+      Body: JSON.stringify(history, null, 2),
+      ContentType: 'application/json',
+    });
+  }
+
+  /**
+   * Appends an entry to the deployment history of each alias with its moves (function, from/to version).
+   * History failures never fail the deployment.
+   * @param {string} type - deploy | rollback | auto-rollback
+   * @param {Array<Object>} aliases - Aliases with `name`, `functionName`, `aliasName`, `previousVersion` and `version`
+   */
+  async recordDeploymentHistory(type, aliases) {
+    const MOVES = this.getChangedAliases(aliases);
+    if (MOVES.length === 0 || this.config.historyLimit <= 0) return;
+
+    for (const ALIAS_NAME of [...new Set(MOVES.map((alias) => alias.aliasName))]) {
+      const ALIAS_MOVES = MOVES.filter((alias) => alias.aliasName === ALIAS_NAME);
+      try {
+        const HISTORY = await this.loadDeploymentHistory(ALIAS_NAME);
+        const LAST_ID = HISTORY.entries.length > 0 ? HISTORY.entries[HISTORY.entries.length - 1].id : 0;
+        const ENTRY = {
+          id: LAST_ID + 1,
+          type,
+          timestamp: new Date().toISOString(),
+          alias: ALIAS_NAME,
+          functions: ALIAS_MOVES.map((alias) => ({
+            name: alias.name,
+            functionName: alias.functionName,
+            fromVersion: alias.previousVersion || null,
+            toVersion: alias.version,
+          })),
+        };
+        HISTORY.entries.push(ENTRY);
+        HISTORY.entries = HISTORY.entries.slice(-this.config.historyLimit);
+        await this.saveDeploymentHistory(HISTORY, ALIAS_NAME);
+        this.debugLog(`Recorded deployment history entry #${ENTRY.id} of alias '${ALIAS_NAME}' (${type}, ${ALIAS_MOVES.length} functions).`);
+      } catch (error) {
+        this.debugLog(`Could not record deployment history of alias '${ALIAS_NAME}': ${error.message}`, true, 'warning');
       }
-      const PROVIDER_ENV = SERVICES.provider.environment || {};
-      const FUNCTION_ENV = funcDef.environment || {};
-      const MERGED_ENV = { ...PROVIDER_ENV, ...FUNCTION_ENV };
+    }
+  }
 
-      FUNCTIONS.push({
-        name: funcName, // logical name
-        functionName: funcDef.name || this.provider.naming.getLambdaLogicalId(funcName),
-        handler: funcDef.handler,
-        environment: MERGED_ENV,
-        events: funcDef.events || [],
-        description: funcDef.description || '',
-      });
+  /**
+   * Finds the version a function should be rolled back to.
+   * Without `entryId`: the version the alias pointed to before it moved to `currentVersion`.
+   * With `entryId`: the version the alias pointed to right after that history entry.
+   */
+  getRollbackTargetVersion(entries, functionName, currentVersion, entryId) {
+    const MOVES = [];
+    entries.forEach((entry) => {
+      entry.functions
+        .filter((fn) => fn.functionName === functionName)
+        .forEach((fn) => MOVES.push({ entryId: entry.id, type: entry.type, ...fn }));
     });
 
-    return FUNCTIONS;
+    if (entryId !== undefined) {
+      const MOVE = MOVES.filter((move) => move.entryId <= entryId).pop();
+      return MOVE ? MOVE.toVersion : null;
+    }
+
+    // Only deployments count here, so consecutive rollbacks keep going back instead of toggling
+    const DEPLOY_MOVES = MOVES.filter((move) => move.type === 'deploy');
+    const MOVE = DEPLOY_MOVES.filter((move) => move.toVersion === currentVersion).pop() || DEPLOY_MOVES.pop();
+    return MOVE ? MOVE.fromVersion : null;
   }
 
-  async createOrUpdateFunctionAliases(functions) {
-    this.debugLog('Creating or updating Lambda function aliases...');
-    const CREATED_ALIASES = [];
-    const FAILED_FUNCTIONS = [];
+  /**
+   * `sls alias rollback [--function name] [--entry id]`
+   */
+  async rollbackCommand() {
+    try {
+      await this.getAwsAccountId();
+      const ENTRY_ID = this.options.entry !== undefined ? Number(this.options.entry) : undefined;
 
-    for (const FUNCTION of functions) {
-      try {
-        let version;
-        const EXISTING_ALIAS = await this.getExistingAlias(FUNCTION.functionName);
-        const LATEST_VERSION = await this.getLatestFunctionVersion(FUNCTION.functionName);
+      let functions = this.getFunctionsForAliasDeployment();
+      if (this.options.function) {
+        functions = functions.filter((fn) => fn.name === this.options.function);
+        if (functions.length === 0) {
+          throw new Error(`Function '${this.options.function}' is not managed by ${PLUGIN_NAME}.`);
+        }
+      }
 
-        if (IS_FORCE && LATEST_VERSION) {
-          this.debugLog(
-            `Force flag detected for function: ${FUNCTION.functionName}. Using latest version ${LATEST_VERSION}`,
-          );
-          version = LATEST_VERSION;
-        } else if (!LATEST_VERSION) {
-          this.debugLog(`No existing versions for function: ${FUNCTION.functionName}. Publishing new version...`);
-          version = await this.publishNewFunctionVersion(FUNCTION);
-        } else {
-          const COMPARE_VERSION = EXISTING_ALIAS ? EXISTING_ALIAS.FunctionVersion : LATEST_VERSION;
-          const HAS_CHANGES = await this.haveFunctionChanges(FUNCTION, COMPARE_VERSION);
+      // Each alias has its own history, so entry IDs are looked up in the history of each function's alias
+      const HISTORIES = new Map();
+      for (const ALIAS_NAME of [...new Set(functions.map((fn) => fn.aliasName))]) {
+        HISTORIES.set(ALIAS_NAME, await this.loadDeploymentHistory(ALIAS_NAME));
+      }
+      if (ENTRY_ID !== undefined && ![...HISTORIES.values()].some((history) => history.entries.some((entry) => entry.id === ENTRY_ID))) {
+        throw new Error(
+          `History entry #${this.options.entry} not found for alias ${[...HISTORIES.keys()].map((name) => `'${name}'`).join(', ')}. Run "sls alias history".`,
+        );
+      }
 
-          if (HAS_CHANGES) {
-            this.debugLog(`Changes detected for function: ${FUNCTION.functionName}. Publishing new version...`);
-            version = await this.publishNewFunctionVersion(FUNCTION);
-          } else if (!EXISTING_ALIAS) {
-            this.debugLog(
-              `No changes detected for new function: ${FUNCTION.functionName}. Using latest version ${LATEST_VERSION}`,
-            );
-            version = LATEST_VERSION;
-          } else {
-            this.debugLog(
-              `No changes detected for existing function alias: ${FUNCTION.functionName}:${this.config.alias}. Skipping.`,
-            );
-            continue;
-          }
+      const ROLLED_BACK_ALIASES = [];
+      for (const FUNCTION of functions) {
+        const HISTORY = HISTORIES.get(FUNCTION.aliasName);
+        if (ENTRY_ID !== undefined && !HISTORY.entries.some((entry) => entry.id === ENTRY_ID)) {
+          this.debugLog(`History entry #${ENTRY_ID} is not in the history of alias '${FUNCTION.aliasName}' of function '${FUNCTION.functionName}'. Skipping.`);
+          continue;
+        }
+        const EXISTING_ALIAS = await this.getExistingAlias(FUNCTION.functionName, FUNCTION.aliasName);
+        if (!EXISTING_ALIAS) {
+          this.debugLog(`Alias '${FUNCTION.aliasName}' not found for function '${FUNCTION.functionName}'. Skipping.`, true, 'warning');
+          continue;
         }
 
-        if (!version) {
-          this.debugLog(`Could not determine version for function: ${FUNCTION.functionName}`, true, 'error');
-          FAILED_FUNCTIONS.push(FUNCTION.functionName);
+        const TARGET_VERSION = this.getRollbackTargetVersion(
+          HISTORY.entries,
+          FUNCTION.functionName,
+          EXISTING_ALIAS.FunctionVersion,
+          ENTRY_ID,
+        );
+        if (!TARGET_VERSION) {
+          this.debugLog(`No previous version recorded for function '${FUNCTION.functionName}'. Skipping.`, true, 'warning');
+          continue;
+        }
+        if (TARGET_VERSION === EXISTING_ALIAS.FunctionVersion) {
+          this.debugLog(`Function '${FUNCTION.functionName}' already on version ${TARGET_VERSION}. Skipping.`);
           continue;
         }
 
-        const ALIAS = await this.createOrUpdateAlias(FUNCTION.functionName, version);
-        if (ALIAS) {
-          CREATED_ALIASES.push({
-            functionName: FUNCTION.functionName, // physical name
-            name: FUNCTION.name,                // logical name
-            aliasName: this.config.alias,
-            aliasArn: ALIAS.AliasArn,
-            version: version,
-            events: FUNCTION.events,
-          });
-          this.debugLog(
-            `Created/updated alias '${this.config.alias}' for function '${FUNCTION.functionName}' pointing to version ${version}`,
-            false,
-            'success',
-          );
+        const ALIAS = await this.createOrUpdateAlias(FUNCTION.functionName, TARGET_VERSION, {}, FUNCTION.aliasName);
+        if (await this.applyProvisionedConcurrency(FUNCTION, TARGET_VERSION)) {
+          await this.waitForProvisionedConcurrency(FUNCTION);
         }
-      } catch (error) {
+        ROLLED_BACK_ALIASES.push({
+          functionName: FUNCTION.functionName,
+          name: FUNCTION.name,
+          aliasName: FUNCTION.aliasName,
+          aliasArn: ALIAS.AliasArn,
+          version: TARGET_VERSION,
+          previousVersion: EXISTING_ALIAS.FunctionVersion,
+          events: FUNCTION.events,
+        });
         this.debugLog(
-          `Error creating/updating alias for function '${FUNCTION.functionName}': ${error.message}`,
+          `Rolled back alias '${FUNCTION.aliasName}' of function '${FUNCTION.functionName}' from version ${EXISTING_ALIAS.FunctionVersion} to ${TARGET_VERSION}`,
           true,
-          'error',
+          'success',
         );
-        FAILED_FUNCTIONS.push(FUNCTION.functionName);
       }
-    }
 
-    if (FAILED_FUNCTIONS.length > 0) {
+      if (ROLLED_BACK_ALIASES.length === 0) {
+        this.debugLog('Nothing to roll back.', true, 'warning');
+        return;
+      }
+
+      await this.recordDeploymentHistory('rollback', ROLLED_BACK_ALIASES);
+
+      // Redeploy the stages so they pick up the aliases again
+      const ALL_FUNCTIONS = this.getFunctionsForAliasDeployment();
+      if (this.config.restApiId && !this.config.skipApiGateway
+        && ALL_FUNCTIONS.some((fn) => this.hasHttpEvents(fn.name, ALL_FUNCTIONS))) {
+        await this.deployApiGateway();
+      }
+      if (this.config.websocketApiId && !this.config.skipWebSocketGateway
+        && ALL_FUNCTIONS.some((fn) => this.hasWebSocketEvents(fn.name, ALL_FUNCTIONS))) {
+        await this.deployWebSocketApi();
+      }
+      if (!this.config.skipHttpApi && ALL_FUNCTIONS.some((fn) => this.hasHttpApiEvents(fn.name, ALL_FUNCTIONS))
+        && await this.resolveHttpApiId()) {
+        await this.deployHttpApi();
+      }
+
       this.debugLog(
-        `WARNING: Failed to process aliases for ${FAILED_FUNCTIONS.length} functions: ${FAILED_FUNCTIONS.join(', ')}`,
+        `Rolled back ${ROLLED_BACK_ALIASES.length} functions (alias ${[...new Set(ROLLED_BACK_ALIASES.map((alias) => `'${alias.aliasName}'`))].join(', ')}).`,
         true,
-        'warning',
+        'success',
       );
+    } catch (error) {
+      this.debugLog(`Error rolling back aliases: ${error.message}`, true, 'error');
+      throw new this.serverless.classes.Error(`Alias rollback failed: ${error.message}`);
     }
+  }
 
-    return CREATED_ALIASES;
+  /**
+   * `sls alias history`
+   */
+  async historyCommand() {
+    for (const ALIAS_NAME of this.getFunctionAliasNames(this.getFunctionsForAliasDeployment())) {
+      const HISTORY = await this.loadDeploymentHistory(ALIAS_NAME);
+      if (HISTORY.entries.length === 0) {
+        this.printOutput(`No deployment history recorded for alias '${ALIAS_NAME}'.`);
+        continue;
+      }
+
+      this.printOutput(`Deployment history for alias '${ALIAS_NAME}' (newest first):`);
+      [...HISTORY.entries].reverse().forEach((entry) => {
+        this.printOutput(`#${entry.id}  ${entry.timestamp}  ${entry.type}`);
+        entry.functions.forEach((fn) => {
+          this.printOutput(`    ${fn.name || fn.functionName}: ${fn.fromVersion || '(none)'} -> ${fn.toVersion}`);
+        });
+      });
+    }
+  }
+
+  // --- Deployment report ---
+
+  /**
+   * Starts collecting the changes of an alias deployment, written by writeDeploymentReport.
+   */
+  startDeploymentReport() {
+    if (!this.config.report) return;
+    this.report = {
+      service: this.serverless.service.service,
+      stage: this.provider.getStage(),
+      region: this.config.region,
+      alias: this.config.alias,
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      success: null,
+      functions: [],
+      integrations: [],
+      permissions: [],
+      stages: [],
+      failures: [],
+    };
+  }
+
+  /**
+   * Adds an entry to a section of the running deployment report. No-op outside a deployment.
+   */
+  recordReport(section, entry) {
+    if (this.report) this.report[section].push(entry);
+  }
+
+  /**
+   * Writes the deployment report as JSON. Entries recorded by concurrent functions are sorted
+   * by function, so reports of the same deployment can be diffed between environments.
+   * @param {Error} [error] Error that ended the workflow
+   */
+  async writeDeploymentReport(error) {
+    if (!this.report) return;
+    const REPORT = this.report;
+    this.report = null;
+
+    REPORT.finishedAt = new Date().toISOString();
+    REPORT.success = !error && REPORT.failures.length === 0;
+    if (error) REPORT.failures.push({ functionName: null, error: error.message });
+    const BY_FUNCTION = (a, b) => String(a.functionName).localeCompare(String(b.functionName));
+    REPORT.integrations.sort(BY_FUNCTION);
+    REPORT.permissions.sort(BY_FUNCTION);
+
+    const REPORT_PATH = path.resolve(this.getServiceDir(), this.config.report);
+    try {
+      await fs.promises.mkdir(path.dirname(REPORT_PATH), { recursive: true });
+      await fs.promises.writeFile(REPORT_PATH, `${JSON.stringify(REPORT, null, 2)}\n`);
+      this.debugLog(`Deployment report written to ${REPORT_PATH}`, false, 'info');
+    } catch (writeError) {
+      this.debugLog(`Could not write deployment report: ${writeError.message}`, true, 'warning');
+    }
+  }
+
+  // --- Status command ---
+
+  /**
+   * Formats rows as a fixed-width text table.
+   * @param {string[]} headers
+   * @param {string[][]} rows
+   */
+  formatTable(headers, rows) {
+    const WIDTHS = headers.map((header, index) => Math.max(header.length, ...rows.map((row) => String(row[index]).length)));
+    const FORMAT_ROW = (row) => row.map((cell, index) => String(cell).padEnd(WIDTHS[index])).join('  ').trimEnd();
+    return [FORMAT_ROW(headers), FORMAT_ROW(WIDTHS.map((width) => '-'.repeat(width))), ...rows.map(FORMAT_ROW)].join('\n');
+  }
+
+  /**
+   * Collects alias, version and routing status for every managed function,
+   * and the stage variables of the REST, WebSocket and HTTP API stages.
+   */
+  async getAliasStatus() {
+    await this.getAwsAccountId();
+    const FUNCTIONS = this.getFunctionsForAliasDeployment();
+    await this.resolveFunctionEnvironments(FUNCTIONS);
+    const STAGE = this.provider.getStage();
+    const STATUS = {
+      alias: this.config.alias,
+      region: this.config.region,
+      stage: STAGE,
+      perFunctionStageVars: this.config.perFunctionStageVars,
+      functions: [],
+      restApi: null,
+      webSocketApi: null,
+      httpApi: null,
+    };
+
+    for (const FUNCTION of FUNCTIONS) {
+      const EXISTING_ALIAS = await this.getExistingAlias(FUNCTION.functionName, FUNCTION.aliasName);
+      const LATEST_VERSION = await this.getLatestFunctionVersion(FUNCTION.functionName);
+      const ALIAS_VERSION = EXISTING_ALIAS ? EXISTING_ALIAS.FunctionVersion : null;
+      let provisionedConcurrency = null;
+      if (EXISTING_ALIAS) {
+        try {
+          const CONFIG = await this.awsRequest('Lambda', 'getProvisionedConcurrencyConfig', {
+            FunctionName: FUNCTION.functionName,
+            Qualifier: FUNCTION.aliasName,
+          });
+          provisionedConcurrency = {
+            requested: CONFIG.RequestedProvisionedConcurrentExecutions,
+            allocated: CONFIG.AllocatedProvisionedConcurrentExecutions,
+            status: CONFIG.Status,
+          };
+        } catch (error) {
+          if (error.code !== 'ProvisionedConcurrencyConfigNotFoundException') throw error;
+        }
+      }
+      STATUS.functions.push({
+        name: FUNCTION.name,
+        functionName: FUNCTION.functionName,
+        aliasName: FUNCTION.aliasName,
+        aliasVersion: ALIAS_VERSION,
+        routingWeights: EXISTING_ALIAS?.RoutingConfig?.AdditionalVersionWeights || {},
+        latestVersion: LATEST_VERSION,
+        undeployedChanges: ALIAS_VERSION ? await this.haveFunctionChanges(FUNCTION, ALIAS_VERSION) : null,
+        provisionedConcurrency,
+        stageVariable: this.config.perFunctionStageVars ? this.buildStageVarKey(FUNCTION.name) : 'alias',
+        hasHttpEvents: this.hasHttpEvents(FUNCTION.name, FUNCTIONS),
+        hasWebSocketEvents: this.hasWebSocketEvents(FUNCTION.name, FUNCTIONS),
+        hasHttpApiEvents: this.hasHttpApiEvents(FUNCTION.name, FUNCTIONS),
+      });
+    }
+
+    if (this.config.restApiId && FUNCTIONS.some((fn) => this.hasHttpEvents(fn.name, FUNCTIONS))) {
+      try {
+        const REST_STAGE = await this.awsRequest('APIGateway', 'getStage', { restApiId: this.config.restApiId, stageName: STAGE });
+        STATUS.restApi = { id: this.config.restApiId, variables: REST_STAGE.variables || {} };
+      } catch (error) {
+        STATUS.restApi = { id: this.config.restApiId, variables: {}, error: error.message };
+      }
+    }
+
+    if (this.config.websocketApiId && FUNCTIONS.some((fn) => this.hasWebSocketEvents(fn.name, FUNCTIONS))) {
+      try {
+        const WS_STAGE = await this.awsRequest('ApiGatewayV2', 'getStage', { ApiId: this.config.websocketApiId, StageName: STAGE });
+        STATUS.webSocketApi = { id: this.config.websocketApiId, variables: WS_STAGE.StageVariables || {} };
+      } catch (error) {
+        STATUS.webSocketApi = { id: this.config.websocketApiId, variables: {}, error: error.message };
+      }
+    }
+
+    if (FUNCTIONS.some((fn) => this.hasHttpApiEvents(fn.name, FUNCTIONS)) && await this.resolveHttpApiId()) {
+      const HTTP_API_STAGE = this.config.httpApiStage;
+      try {
+        const HTTP_STAGE = await this.awsRequest('ApiGatewayV2', 'getStage', { ApiId: this.config.httpApiId, StageName: HTTP_API_STAGE });
+        STATUS.httpApi = { id: this.config.httpApiId, stage: HTTP_API_STAGE, variables: HTTP_STAGE.StageVariables || {} };
+      } catch (error) {
+        STATUS.httpApi = { id: this.config.httpApiId, stage: HTTP_API_STAGE, variables: {}, error: error.message };
+      }
+    }
+
+    return STATUS;
   }
 
-  async getExistingAlias(functionName) {
-    try {
-      const LAMBDA = new this.provider.sdk.Lambda({ region: this.config.region });
-      const ALIAS = await LAMBDA.getAlias({ FunctionName: functionName, Name: this.config.alias }).promise();
-      return ALIAS;
+  /**
+   * `sls alias status [--json]`
+   */
+  async statusCommand() {
+    const STATUS = await this.getAliasStatus();
+
+    if (this.options.json) {
+      this.printOutput(JSON.stringify(STATUS, null, 2));
+      return;
+    }
+
+    this.printOutput(`Alias '${STATUS.alias}' (stage: ${STATUS.stage}, region: ${STATUS.region})\n`);
+    this.printOutput(this.formatTable(
+      ['Function', 'Alias version', 'Routing', 'Latest version', 'Undeployed changes', 'Provisioned concurrency'],
+      STATUS.functions.map((fn) => [
+        fn.aliasName === STATUS.alias ? fn.name : `${fn.name} (${fn.aliasName})`,
+        fn.aliasVersion || '(no alias)',
+        Object.entries(fn.routingWeights).map(([version, weight]) => `${version}: ${Math.round(weight * 100)}%`).join(', ') || '-',
+        fn.latestVersion || '-',
+        fn.undeployedChanges === null ? '-' : fn.undeployedChanges ? 'yes' : 'no',
+        fn.provisionedConcurrency
+          ? `${fn.provisionedConcurrency.allocated}/${fn.provisionedConcurrency.requested} (${fn.provisionedConcurrency.status})`
+          : '-',
+      ]),
+    ));
+
+    [
+      ['REST API', STATUS.restApi, 'hasHttpEvents'],
+      ['WebSocket API', STATUS.webSocketApi, 'hasWebSocketEvents'],
+      ['HTTP API', STATUS.httpApi, 'hasHttpApiEvents'],
+    ].filter(([, api]) => api).forEach(([label, api, eventFlag]) => {
+      this.printOutput(`\n${label} ${api.id} stage '${api.stage || STATUS.stage}' variables:`);
+      if (api.error) {
+        this.printOutput(`  Could not read stage: ${api.error}`);
+        return;
+      }
+      const VARIABLES = Object.entries(api.variables);
+      if (VARIABLES.length === 0) this.printOutput('  (none)');
+      VARIABLES.forEach(([key, value]) => this.printOutput(`  ${key} = ${value}`));
+
+      this.printOutput(this.formatTable(
+        ['Function', 'Stage variable', 'Value'],
+        STATUS.functions
+          .filter((fn) => fn[eventFlag])
+          .map((fn) => [fn.name, fn.stageVariable, api.variables[fn.stageVariable] ?? '(missing)']),
+      ).replace(/^/gm, '  '));
+    });
+  }
+
+  // --- Switch command ---
+
+  /**
+   * `sls alias switch --to <alias> [--function a,b]`
+   * Sets the per-function stage variables of the REST, WebSocket and HTTP API stages to the target alias.
+   */
+  async switchCommand() {
+    try {
+      const TARGET_ALIAS = this.options.to;
+      if (!TARGET_ALIAS || typeof TARGET_ALIAS !== 'string') {
+        throw new Error('Missing target alias. Use --to <alias>.');
+      }
+      if (!this.config.perFunctionStageVars) {
+        throw new Error(`Switching requires perFunctionStageVars. In global mode, deploy with alias '${TARGET_ALIAS}' instead.`);
+      }
+
+      let functions = this.getFunctionsForAliasDeployment();
+      if (this.options.function) {
+        const NAMES = this.options.function.split(',').map((name) => name.trim()).filter(Boolean);
+        const UNKNOWN = NAMES.filter((name) => !functions.some((fn) => fn.name === name));
+        if (UNKNOWN.length > 0) {
+          throw new Error(`Functions not managed by ${PLUGIN_NAME}: ${UNKNOWN.join(', ')}`);
+        }
+        functions = functions.filter((fn) => NAMES.includes(fn.name));
+      }
+
+      // Routing to an alias that does not exist would break the API
+      const MISSING = [];
+      for (const FUNCTION of functions) {
+        try {
+          await this.awsRequest('Lambda', 'getAlias', { FunctionName: FUNCTION.functionName, Name: TARGET_ALIAS });
+        } catch (error) {
+          if (error.code !== 'ResourceNotFoundException') throw error;
+          MISSING.push(FUNCTION.name);
+        }
+      }
+      if (MISSING.length > 0) {
+        throw new Error(`Alias '${TARGET_ALIAS}' does not exist for: ${MISSING.join(', ')}. Deploy it first.`);
+      }
+
+      const CHANGES = await this.switchStageVariables(functions, TARGET_ALIAS);
+      if (CHANGES.length === 0) {
+        this.printOutput(`All stage variables already route to alias '${TARGET_ALIAS}'.`);
+        return;
+      }
+
+      this.printOutput(`Switched ${CHANGES.length} stage variables to alias '${TARGET_ALIAS}':\n`);
+      this.printOutput(this.formatTable(
+        ['API', 'Function', 'Stage variable', 'Before', 'After'],
+        CHANGES.map((change) => [change.api, change.name, change.key, change.before ?? '(missing)', change.after]),
+      ));
+    } catch (error) {
+      this.debugLog(`Error switching stage variables: ${error.message}`, true, 'error');
+      throw new this.serverless.classes.Error(`Alias switch failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Sets the per-function stage variable of each function to the alias, on every API stage the function
+   * has events on. Each stage is updated with a single call.
+   * @returns {Promise<Array<{api: string, name: string, key: string, before: string|undefined, after: string}>>}
+   *   The variables that changed
+   */
+  async switchStageVariables(functions, aliasName) {
+    const STAGE = this.provider.getStage();
+    const ALL_FUNCTIONS = this.getFunctionsForAliasDeployment();
+    const CHANGES = [];
+
+    const COLLECT = (api, variables, eventCheck) => {
+      const API_CHANGES = functions
+        .filter((fn) => eventCheck(fn.name, ALL_FUNCTIONS))
+        .map((fn) => {
+          const KEY = this.buildStageVarKey(fn.name);
+          return { api, name: fn.name, key: KEY, before: variables[KEY], after: aliasName };
+        })
+        .filter((change) => change.before !== aliasName);
+      CHANGES.push(...API_CHANGES);
+      return Object.fromEntries(API_CHANGES.map((change) => [change.key, aliasName]));
+    };
+
+    if (this.config.restApiId && functions.some((fn) => this.hasHttpEvents(fn.name, ALL_FUNCTIONS))) {
+      const REST_STAGE = await this.awsRequest('APIGateway', 'getStage', { restApiId: this.config.restApiId, stageName: STAGE });
+      const UPDATES = COLLECT('rest', REST_STAGE.variables || {}, (name, fns) => this.hasHttpEvents(name, fns));
+      if (Object.keys(UPDATES).length > 0) {
+        await this.awsRequest('APIGateway', 'updateStage', {
+          restApiId: this.config.restApiId,
+          stageName: STAGE,
+          patchOperations: Object.entries(UPDATES).map(([key, value]) => ({ op: 'replace', path: `/variables/${key}`, value })),
+        });
+      }
+    }
+
+    if (this.config.websocketApiId && functions.some((fn) => this.hasWebSocketEvents(fn.name, ALL_FUNCTIONS))) {
+      const WS_STAGE = await this.awsRequest('ApiGatewayV2', 'getStage', { ApiId: this.config.websocketApiId, StageName: STAGE });
+      const UPDATES = COLLECT('websocket', WS_STAGE.StageVariables || {}, (name, fns) => this.hasWebSocketEvents(name, fns));
+      if (Object.keys(UPDATES).length > 0) {
+        await this.awsRequest('ApiGatewayV2', 'updateStage', {
+          ApiId: this.config.websocketApiId,
+          StageName: STAGE,
+          StageVariables: { ...(WS_STAGE.StageVariables || {}), ...UPDATES },
+        });
+      }
+    }
+
+    if (functions.some((fn) => this.hasHttpApiEvents(fn.name, ALL_FUNCTIONS)) && await this.resolveHttpApiId()) {
+      const HTTP_STAGE = await this.awsRequest('ApiGatewayV2', 'getStage', {
+        ApiId: this.config.httpApiId,
+        StageName: this.config.httpApiStage,
+      });
+      const UPDATES = COLLECT('http', HTTP_STAGE.StageVariables || {}, (name, fns) => this.hasHttpApiEvents(name, fns));
+      if (Object.keys(UPDATES).length > 0) {
+        await this.awsRequest('ApiGatewayV2', 'updateStage', {
+          ApiId: this.config.httpApiId,
+          StageName: this.config.httpApiStage,
+          StageVariables: { ...(HTTP_STAGE.StageVariables || {}), ...UPDATES },
+        });
+      }
+    }
+
+    return CHANGES;
+  }
+
+  // --- Stage variable preflight ---
+
+  /**
+   * Runs the stage variable check (custom.alias.stageVariableCheck) before anything is changed.
+   * Fails the deployment, or only warns, when a stage variable would not resolve to an alias.
+   */
+  async preflightStageVariables(functions) {
+    if (this.config.stageVariableCheck === 'off') return;
+
+    const PROBLEMS = await this.findStageVariableProblems(functions);
+    if (PROBLEMS.length === 0) {
+      this.debugLog('Stage variable check passed.', false, 'success');
+      return;
+    }
+
+    const MESSAGE = `Stage variables do not resolve to an alias:\n${PROBLEMS.map((problem) => `  - ${problem}`).join('\n')}`;
+    if (this.config.stageVariableCheck === 'error') {
+      throw new Error(`${MESSAGE}\nSet custom.alias.stageVariableCheck to 'warn' or 'off' to deploy anyway.`);
+    }
+    this.debugLog(MESSAGE, true, 'warning');
+  }
+
+  /**
+   * Checks every stage variable the integration URIs of the functions will reference: it must exist on the
+   * stage, and name an alias of the function or the alias being deployed. Variables the plugin sets itself
+   * during the stage deployment (the global `alias` variable) are not checked.
+   * @returns {Promise<string[]>} The problems found
+   */
+  async findStageVariableProblems(functions) {
+    const STAGE = this.provider.getStage();
+    const APIS = [];
+
+    if (this.config.restApiId) {
+      APIS.push({
+        label: `REST API ${this.config.restApiId} stage '${STAGE}'`,
+        functions: functions.filter((fn) => this.hasHttpEvents(fn.name, functions)),
+        setsGlobalVariable: !this.config.skipApiGateway,
+        getVariables: async () => (await this.awsRequest('APIGateway', 'getStage', {
+          restApiId: this.config.restApiId,
+          stageName: STAGE,
+        })).variables,
+      });
+    }
+    if (this.config.websocketApiId) {
+      APIS.push({
+        label: `WebSocket API ${this.config.websocketApiId} stage '${STAGE}'`,
+        functions: functions.filter((fn) => this.hasWebSocketEvents(fn.name, functions)),
+        setsGlobalVariable: !this.config.skipWebSocketGateway,
+        getVariables: async () => (await this.awsRequest('ApiGatewayV2', 'getStage', {
+          ApiId: this.config.websocketApiId,
+          StageName: STAGE,
+        })).StageVariables,
+      });
+    }
+    if (functions.some((fn) => this.hasHttpApiEvents(fn.name, functions)) && await this.resolveHttpApiId()) {
+      APIS.push({
+        label: `HTTP API ${this.config.httpApiId} stage '${this.config.httpApiStage}'`,
+        functions: functions.filter((fn) => this.hasHttpApiEvents(fn.name, functions)),
+        setsGlobalVariable: !this.config.skipHttpApi,
+        getVariables: async () => (await this.awsRequest('ApiGatewayV2', 'getStage', {
+          ApiId: this.config.httpApiId,
+          StageName: this.config.httpApiStage,
+        })).StageVariables,
+      });
+    }
+
+    const PROBLEMS = [];
+    const ALIAS_EXISTS = new Map();
+    for (const API of APIS) {
+      if (API.functions.length === 0) continue;
+      if (!this.config.perFunctionStageVars && !this.config.skipSetGlobalStageVar && API.setsGlobalVariable) continue;
+
+      let variables = {};
+      try {
+        variables = (await API.getVariables()) || {};
+      } catch (error) {
+        if (error.code !== 'NotFoundException') throw error;
+      }
+
+      for (const FUNCTION of API.functions) {
+        const KEY = /\$\{stageVariables\.([^}]+)\}/.exec(this.getStageVarExprForFunction(FUNCTION.name))[1];
+        const VALUE = variables[KEY];
+        if (VALUE === undefined) {
+          PROBLEMS.push(`${API.label}: stage variable '${KEY}' of function '${FUNCTION.name}' is missing`);
+          continue;
+        }
+        // Created or updated by this deployment
+        if (VALUE === FUNCTION.aliasName || this.config.additionalAliases.some((spec) => spec.name === VALUE && spec.version !== 'previous')) continue;
+
+        const CACHE_KEY = `${FUNCTION.functionName}:${VALUE}`;
+        if (!ALIAS_EXISTS.has(CACHE_KEY)) {
+          try {
+            await this.awsRequest('Lambda', 'getAlias', { FunctionName: FUNCTION.functionName, Name: VALUE });
+            ALIAS_EXISTS.set(CACHE_KEY, true);
+          } catch (error) {
+            if (error.code !== 'ResourceNotFoundException') throw error;
+            ALIAS_EXISTS.set(CACHE_KEY, false);
+          }
+        }
+        if (!ALIAS_EXISTS.get(CACHE_KEY)) {
+          PROBLEMS.push(`${API.label}: stage variable '${KEY}' is '${VALUE}', but function '${FUNCTION.functionName}' has no alias '${VALUE}'`);
+        }
+      }
+    }
+
+    return PROBLEMS;
+  }
+
+  // --- Alias removal ---
+
+  /**
+   * Returns the stage variables that route to the given alias, as `{ api, key }` entries.
+   * In global mode this is the `alias` variable, in per-function mode each function's key.
+   */
+  async getStageVariablesRoutingToAlias(aliasName, functions) {
+    const STAGE = this.provider.getStage();
+    const ROUTES = [];
+
+    const COLLECT = (api, variables, eventCheck) => {
+      const KEYS = this.config.perFunctionStageVars
+        ? functions.filter((fn) => eventCheck(fn.name, functions)).map((fn) => this.buildStageVarKey(fn.name, aliasName))
+        : ['alias'];
+      [...new Set(KEYS)]
+        .filter((key) => variables[key] === aliasName)
+        .forEach((key) => ROUTES.push({ api, key }));
+    };
+
+    if (this.config.restApiId && functions.some((fn) => this.hasHttpEvents(fn.name, functions))) {
+      try {
+        const REST_STAGE = await this.awsRequest('APIGateway', 'getStage', { restApiId: this.config.restApiId, stageName: STAGE });
+        COLLECT('rest', REST_STAGE.variables || {}, (name, fns) => this.hasHttpEvents(name, fns));
+      } catch (error) {
+        if (error.code !== 'NotFoundException') throw error;
+      }
+    }
+
+    if (this.config.websocketApiId && functions.some((fn) => this.hasWebSocketEvents(fn.name, functions))) {
+      try {
+        const WS_STAGE = await this.awsRequest('ApiGatewayV2', 'getStage', { ApiId: this.config.websocketApiId, StageName: STAGE });
+        COLLECT('websocket', WS_STAGE.StageVariables || {}, (name, fns) => this.hasWebSocketEvents(name, fns));
+      } catch (error) {
+        if (error.code !== 'NotFoundException') throw error;
+      }
+    }
+
+    if (functions.some((fn) => this.hasHttpApiEvents(fn.name, functions)) && await this.resolveHttpApiId()) {
+      try {
+        const HTTP_STAGE = await this.awsRequest('ApiGatewayV2', 'getStage', {
+          ApiId: this.config.httpApiId,
+          StageName: this.config.httpApiStage,
+        });
+        COLLECT('http', HTTP_STAGE.StageVariables || {}, (name, fns) => this.hasHttpApiEvents(name, fns));
+      } catch (error) {
+        if (error.code !== 'NotFoundException') throw error;
+      }
+    }
+
+    return ROUTES;
+  }
+
+  /**
+   * Removes the API Gateway permission statements this plugin added for the alias,
+   * on the alias itself and on the unqualified function (per-function stage variables mode).
+   */
+  async removeAliasPermissions(functionName, aliasName) {
+    const SANITIZE = (value) => value.replace(/[^a-zA-Z0-9-_]/g, '-');
+    const PREFIXES = [];
+    // The unqualified policy holds the statements of every alias ("prod" must not match "prod-blue"),
+    // so only the full statement IDs of API Gateway methods (<method>-<resourceId>) and routes (<routeId>) match there
+    const UNQUALIFIED_PATTERNS = [];
+    if (this.config.restApiId) {
+      PREFIXES.push(`apigateway-${this.config.restApiId}-${aliasName}-`, `apigateway-test-${this.config.restApiId}-${aliasName}-`);
+      UNQUALIFIED_PATTERNS.push(new RegExp(`^apigateway-(test-)?${SANITIZE(this.config.restApiId)}-${SANITIZE(aliasName)}-[A-Z]+-[a-z0-9]+$`));
+    }
+    if (this.config.websocketApiId) {
+      PREFIXES.push(`apigateway-ws-${this.config.websocketApiId}-${aliasName}-`);
+      UNQUALIFIED_PATTERNS.push(new RegExp(`^apigateway-ws-${SANITIZE(this.config.websocketApiId)}-${SANITIZE(aliasName)}-[a-z0-9]+$`));
+    }
+    if (this.config.httpApiId) {
+      PREFIXES.push(`apigateway-http-${this.config.httpApiId}-${aliasName}-`);
+      UNQUALIFIED_PATTERNS.push(new RegExp(`^apigateway-http-${SANITIZE(this.config.httpApiId)}-${SANITIZE(aliasName)}-[a-z0-9]+$`));
+    }
+    PREFIXES.push(`alb-${aliasName}-`, `events-${aliasName}-`, `sns-${aliasName}-`);
+    const SANITIZED_PREFIXES = PREFIXES.map(SANITIZE);
+    // The policy of the alias only holds statements of that alias
+    const IS_ALIAS_STATEMENT = (qualifier, sid) => (qualifier
+      ? SANITIZED_PREFIXES.some((prefix) => sid?.startsWith(prefix))
+      : UNQUALIFIED_PATTERNS.some((pattern) => pattern.test(sid || '')));
+    const REMOVED = [];
+
+    for (const QUALIFIER of [aliasName, null]) {
+      let statements = [];
+      try {
+        const POLICY = await this.awsRequest('Lambda', 'getPolicy', {
+          FunctionName: functionName,
+          ...(QUALIFIER ? { Qualifier: QUALIFIER } : {}),
+        });
+        statements = JSON.parse(POLICY.Policy).Statement || [];
+      } catch (error) {
+        if (error.code === 'ResourceNotFoundException') continue;
+        throw error;
+      }
+
+      for (const STATEMENT of statements) {
+        if (!IS_ALIAS_STATEMENT(QUALIFIER, STATEMENT.Sid)) continue;
+        await this.awsRequest('Lambda', 'removePermission', {
+          FunctionName: QUALIFIER ? `${functionName}:${QUALIFIER}` : functionName,
+          StatementId: STATEMENT.Sid,
+        });
+        REMOVED.push(STATEMENT.Sid);
+      }
+    }
+
+    return REMOVED;
+  }
+
+  /**
+   * Removes the stage variables that route to the alias.
+   */
+  async removeAliasStageVariables(routes) {
+    const STAGE = this.provider.getStage();
+
+    const REST_KEYS = routes.filter((route) => route.api === 'rest').map((route) => route.key);
+    if (REST_KEYS.length > 0) {
+      await this.awsRequest('APIGateway', 'updateStage', {
+        restApiId: this.config.restApiId,
+        stageName: STAGE,
+        patchOperations: REST_KEYS.map((key) => ({ op: 'remove', path: `/variables/${key}` })),
+      });
+      this.debugLog(`Removed REST stage variables: ${REST_KEYS.join(', ')}`);
+    }
+
+    const WS_KEYS = routes.filter((route) => route.api === 'websocket').map((route) => route.key);
+    if (WS_KEYS.length > 0) {
+      const WS_STAGE = await this.awsRequest('ApiGatewayV2', 'getStage', { ApiId: this.config.websocketApiId, StageName: STAGE });
+      const STAGE_VARIABLES = { ...(WS_STAGE.StageVariables || {}) };
+      WS_KEYS.forEach((key) => delete STAGE_VARIABLES[key]);
+      await this.awsRequest('ApiGatewayV2', 'updateStage', {
+        ApiId: this.config.websocketApiId,
+        StageName: STAGE,
+        StageVariables: STAGE_VARIABLES,
+      });
+      this.debugLog(`Removed WebSocket stage variables: ${WS_KEYS.join(', ')}`);
+    }
+
+    const HTTP_KEYS = routes.filter((route) => route.api === 'http').map((route) => route.key);
+    if (HTTP_KEYS.length > 0) {
+      const HTTP_STAGE = await this.awsRequest('ApiGatewayV2', 'getStage', {
+        ApiId: this.config.httpApiId,
+        StageName: this.config.httpApiStage,
+      });
+      const STAGE_VARIABLES = { ...(HTTP_STAGE.StageVariables || {}) };
+      HTTP_KEYS.forEach((key) => delete STAGE_VARIABLES[key]);
+      await this.awsRequest('ApiGatewayV2', 'updateStage', {
+        ApiId: this.config.httpApiId,
+        StageName: this.config.httpApiStage,
+        StageVariables: STAGE_VARIABLES,
+      });
+      this.debugLog(`Removed HTTP API stage variables: ${HTTP_KEYS.join(', ')}`);
+    }
+  }
+
+  /**
+   * Deletes an alias from every managed function, with its API Gateway permissions and stage variables.
+   * Without an alias name, each function's own alias (`alias.name` override or the routed alias) is deleted.
+   * Refuses to delete an alias a stage still routes to, unless forced.
+   * @param {string|null} aliasName - Alias to delete from every function, or null for each function's own alias
+   */
+  async removeAlias(aliasName, force) {
+    await this.getAwsAccountId();
+    const FUNCTIONS = this.getFunctionsForAliasDeployment();
+    const ALIAS_NAMES = aliasName ? [aliasName] : [...new Set(FUNCTIONS.map((fn) => fn.aliasName))];
+    const ROUTES = [];
+    for (const ALIAS_NAME of ALIAS_NAMES) {
+      const ALIAS_FUNCTIONS = aliasName ? FUNCTIONS : FUNCTIONS.filter((fn) => fn.aliasName === ALIAS_NAME);
+      ROUTES.push(...await this.getStageVariablesRoutingToAlias(ALIAS_NAME, ALIAS_FUNCTIONS));
+    }
+
+    if (ROUTES.length > 0 && !force) {
+      throw new Error(
+        `${ALIAS_NAMES.length > 1 ? 'Aliases' : 'Alias'} ${ALIAS_NAMES.map((name) => `'${name}'`).join(', ')} ${ALIAS_NAMES.length > 1 ? 'are' : 'is'} still routed to by: ${ROUTES.map((route) => `${route.api} stage variable '${route.key}'`).join(', ')}. Use --force to remove it anyway.`,
+      );
+    }
+
+    const REMOVED_FUNCTIONS = [];
+    const FAILED_FUNCTIONS = [];
+
+    for (const FUNCTION of FUNCTIONS) {
+      const FUNCTION_ALIAS_NAME = aliasName || FUNCTION.aliasName;
+      try {
+        const REMOVED_STATEMENTS = await this.removeAliasPermissions(FUNCTION.functionName, FUNCTION_ALIAS_NAME);
+        if (REMOVED_STATEMENTS.length > 0) {
+          this.debugLog(`Removed ${REMOVED_STATEMENTS.length} permissions from function '${FUNCTION.functionName}'`);
+        }
+
+        // Hand the queue and stream consumers back to the unqualified function before the alias disappears
+        if (this.hasEventSourceMappingEvents(FUNCTION.name, FUNCTIONS)) {
+          await this.moveEventSourceMappings(FUNCTION.functionName, FUNCTION_ALIAS_NAME, null);
+        }
+
+        try {
+          await this.awsRequest('Lambda', 'deleteAlias', { FunctionName: FUNCTION.functionName, Name: FUNCTION_ALIAS_NAME });
+          REMOVED_FUNCTIONS.push(FUNCTION.functionName);
+          this.debugLog(`Removed alias '${FUNCTION_ALIAS_NAME}' from function '${FUNCTION.functionName}'`, false, 'success');
+        } catch (error) {
+          if (error.code !== 'ResourceNotFoundException') throw error;
+          this.debugLog(`Alias '${FUNCTION_ALIAS_NAME}' not found for function '${FUNCTION.functionName}'`);
+        }
+      } catch (error) {
+        this.debugLog(
+          `Error removing alias '${FUNCTION_ALIAS_NAME}' from function '${FUNCTION.functionName}': ${error.message}`,
+          true,
+          'error',
+        );
+        FAILED_FUNCTIONS.push(FUNCTION.functionName);
+      }
+    }
+
+    if (ROUTES.length > 0) {
+      await this.removeAliasStageVariables(ROUTES);
+    }
+
+    const ALIAS_LABEL = ALIAS_NAMES.map((name) => `'${name}'`).join(', ');
+    if (FAILED_FUNCTIONS.length > 0) {
+      throw new Error(`Failed to remove alias ${ALIAS_LABEL} from ${FAILED_FUNCTIONS.length} functions: ${FAILED_FUNCTIONS.join(', ')}`);
+    }
+
+    this.debugLog(`Removed alias ${ALIAS_LABEL} from ${REMOVED_FUNCTIONS.length} functions.`, true, 'success');
+  }
+
+  /**
+   * `sls alias remove [--alias name] [--force]`
+   */
+  async removeAliasCommand() {
+    try {
+      await this.removeAlias(this.options.alias || null, this.options.force || IS_FORCE);
+    } catch (error) {
+      this.debugLog(`Error removing alias: ${error.message}`, true, 'error');
+      throw new this.serverless.classes.Error(`Alias removal failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * `before:remove:remove` hook, enabled with `custom.alias.removeOnStackRemove`.
+   */
+  async removeAliasOnStackRemove() {
+    if (!this.config.removeOnStackRemove) return;
+    try {
+      // The stages are removed with the stack, so routing to the alias does not block the removal
+      await this.removeAlias(null, true);
+    } catch (error) {
+      this.debugLog(`Error removing alias: ${error.message}`, true, 'error');
+      throw new this.serverless.classes.Error(`Alias removal failed: ${error.message}`);
+    }
+  }
+
+  // --- Version retention ---
+
+  /**
+   * Lists every published version of a function (all pages).
+   */
+  async listAllFunctionVersions(functionName) {
+    return this.awsPaginate('Lambda', 'listVersionsByFunction', { FunctionName: functionName, MaxItems: 50 });
+  }
+
+  /**
+   * Lists every alias of a function (all pages), including aliases not managed by this service.
+   */
+  async listAllFunctionAliases(functionName) {
+    return this.awsPaginate('Lambda', 'listAliases', { FunctionName: functionName, MaxItems: 50 });
+  }
+
+  /**
+   * Returns the numbered versions of a function that can be deleted: everything older than the
+   * `retain` newest versions, except versions referenced by any alias (primary or routing weight)
+   * or by the deployment history, which `sls alias rollback` moves aliases back to.
+   * @param {Set<string>} [historyVersions] - Versions of the function referenced by the deployment history
+   */
+  async getPrunableFunctionVersions(functionName, retain, historyVersions = new Set()) {
+    const [VERSIONS, ALIASES] = await Promise.all([
+      this.listAllFunctionVersions(functionName),
+      this.listAllFunctionAliases(functionName),
+    ]);
+
+    const REFERENCED = new Set();
+    ALIASES.forEach((alias) => {
+      REFERENCED.add(alias.FunctionVersion);
+      Object.keys(alias.RoutingConfig?.AdditionalVersionWeights || {}).forEach((version) => REFERENCED.add(version));
+    });
+
+    return VERSIONS
+      .filter((v) => v.Version !== '$LATEST')
+      .sort((a, b) => parseInt(b.Version) - parseInt(a.Version))
+      .slice(retain)
+      .map((v) => v.Version)
+      .filter((version) => !REFERENCED.has(version) && !historyVersions.has(version));
+  }
+
+  /**
+   * Returns the versions each function moved from or to in the deployment histories of the given functions' aliases.
+   * @returns {Promise<Map<string, Set<string>>>} Versions by function name
+   */
+  async getHistoryVersions(functions) {
+    const VERSIONS = new Map();
+    for (const ALIAS_NAME of this.getFunctionAliasNames(functions)) {
+      const HISTORY = await this.loadDeploymentHistory(ALIAS_NAME);
+      HISTORY.entries.forEach((entry) => entry.functions.forEach((fn) => {
+        if (!VERSIONS.has(fn.functionName)) VERSIONS.set(fn.functionName, new Set());
+        [fn.fromVersion, fn.toVersion].filter(Boolean).forEach((version) => VERSIONS.get(fn.functionName).add(version));
+      }));
+    }
+    return VERSIONS;
+  }
+
+  /**
+   * Deletes old published versions of the managed functions, keeping `retain` versions per function.
+   * @param {Array<Object>} functions - Functions from getFunctionsForAliasDeployment
+   * @param {number|null} retain - Versions to keep, null to skip pruning
+   * @param {boolean} [dryRun] - Only list the versions that would be deleted
+   */
+  async pruneFunctionVersions(functions, retain, dryRun = false) {
+    if (!retain) return;
+
+    this.debugLog(`${dryRun ? '[dry-run] ' : ''}Pruning function versions (keeping ${retain} per function)...`);
+    let deletedCount = 0;
+    let historyVersions;
+    try {
+      historyVersions = await this.getHistoryVersions(functions);
+    } catch (error) {
+      this.debugLog(`Skipping pruning, the deployment history could not be read: ${error.message}`, true, 'warning');
+      return;
+    }
+
+    for (const FUNCTION of functions) {
+      try {
+        const PRUNABLE_VERSIONS = await this.getPrunableFunctionVersions(
+          FUNCTION.functionName,
+          retain,
+          historyVersions.get(FUNCTION.functionName),
+        );
+        if (PRUNABLE_VERSIONS.length === 0) continue;
+
+        if (dryRun) {
+          this.printOutput(`${FUNCTION.functionName}: would delete versions ${PRUNABLE_VERSIONS.join(', ')}`);
+          deletedCount += PRUNABLE_VERSIONS.length;
+          continue;
+        }
+
+        const DELETED_VERSIONS = [];
+        for (const VERSION of PRUNABLE_VERSIONS) {
+          try {
+            await this.awsRequest('Lambda', 'deleteFunction', { FunctionName: FUNCTION.functionName, Qualifier: VERSION });
+            DELETED_VERSIONS.push(VERSION);
+          } catch (error) {
+            this.debugLog(
+              `Could not delete version ${VERSION} of function '${FUNCTION.functionName}': ${error.message}`,
+              true,
+              'warning',
+            );
+          }
+        }
+        deletedCount += DELETED_VERSIONS.length;
+        if (DELETED_VERSIONS.length > 0) {
+          this.debugLog(`Deleted versions ${DELETED_VERSIONS.join(', ')} of function '${FUNCTION.functionName}'`);
+        }
+      } catch (error) {
+        this.debugLog(`Error pruning versions of function '${FUNCTION.functionName}': ${error.message}`, true, 'warning');
+      }
+    }
+
+    this.debugLog(
+      `${dryRun ? '[dry-run] Would delete' : 'Deleted'} ${deletedCount} old function versions.`,
+      dryRun,
+      'success',
+    );
+  }
+
+  /**
+   * `sls alias prune [--retain N] [--dry-run]`
+   */
+  async pruneCommand() {
+    const RETAIN = this.options.retain !== undefined ? Number(this.options.retain) : this.config.retainVersions;
+    if (!Number.isInteger(RETAIN) || RETAIN < 1) {
+      throw new this.serverless.classes.Error(
+        'Number of versions to keep is not defined. Configure custom.alias.retainVersions or pass --retain.',
+      );
+    }
+    await this.pruneFunctionVersions(this.getFunctionsForAliasDeployment(), RETAIN, !!this.options['dry-run']);
+  }
+
+  // --- Provisioned concurrency ---
+
+  /**
+   * Returns the provisioned concurrency of a function's alias, or null when the plugin does not manage it.
+   */
+  getProvisionedConcurrency(functionData) {
+    const VALUE = functionData.aliasConfig?.provisionedConcurrency;
+    if (VALUE !== undefined) return Number(VALUE);
+    return this.config.provisionedConcurrency;
+  }
+
+  validateProvisionedConcurrency(functions) {
+    const INVALID_CONFIG = [];
+    const IS_VALID = (value) => Number.isInteger(value) && value >= 0;
+
+    if (this.config.provisionedConcurrency !== null && !IS_VALID(this.config.provisionedConcurrency)) {
+      INVALID_CONFIG.push('custom.alias.provisionedConcurrency must be an integer greater than or equal to 0');
+    }
+    Object.entries(functions || {}).forEach(([funcName, funcDef]) => {
+      const VALUE = funcDef.alias?.provisionedConcurrency;
+      if (VALUE !== undefined && !IS_VALID(Number(VALUE))) {
+        INVALID_CONFIG.push(`Function '${funcName}' has an invalid alias.provisionedConcurrency '${VALUE}'`);
+      }
+    });
+
+    return INVALID_CONFIG;
+  }
+
+  /**
+   * Puts (or removes, for 0) the provisioned concurrency config of the function's alias.
+   * @returns {Promise<boolean>} whether the alias has provisioned concurrency to wait for
+   */
+  async applyProvisionedConcurrency(functionData, version) {
+    const REQUESTED = this.getProvisionedConcurrency(functionData);
+    if (REQUESTED === null) return false;
+
+    const QUALIFIED_FUNCTION_NAME = `${functionData.functionName}:${functionData.aliasName}`;
+    if (version === '$LATEST') {
+      if (REQUESTED > 0) {
+        this.debugLog(`Cannot provision concurrency for ${QUALIFIED_FUNCTION_NAME}: it points to $LATEST.`, true, 'warning');
+      }
+      return false;
+    }
+
+    let existing = null;
+    try {
+      existing = await this.awsRequest('Lambda', 'getProvisionedConcurrencyConfig', {
+        FunctionName: functionData.functionName,
+        Qualifier: functionData.aliasName,
+      });
+    } catch (error) {
+      if (error.code !== 'ProvisionedConcurrencyConfigNotFoundException') throw error;
+    }
+
+    if (REQUESTED === 0) {
+      if (existing) {
+        await this.awsRequest('Lambda', 'deleteProvisionedConcurrencyConfig', {
+          FunctionName: functionData.functionName,
+          Qualifier: functionData.aliasName,
+        });
+        this.debugLog(`Removed provisioned concurrency from ${QUALIFIED_FUNCTION_NAME}`, false, 'success');
+      }
+      return false;
+    }
+
+    if (existing?.RequestedProvisionedConcurrentExecutions !== REQUESTED) {
+      await this.awsRequest('Lambda', 'putProvisionedConcurrencyConfig', {
+        FunctionName: functionData.functionName,
+        Qualifier: functionData.aliasName,
+        ProvisionedConcurrentExecutions: REQUESTED,
+      });
+      this.debugLog(`Requested provisioned concurrency ${REQUESTED} for ${QUALIFIED_FUNCTION_NAME}`);
+    }
+    return true;
+  }
+
+  /**
+   * Waits until the provisioned concurrency of the function's alias is allocated, then reports it.
+   */
+  async waitForProvisionedConcurrency(functionData) {
+    const QUALIFIED_FUNCTION_NAME = `${functionData.functionName}:${functionData.aliasName}`;
+    this.debugLog(`Waiting for provisioned concurrency of ${QUALIFIED_FUNCTION_NAME}...`);
+    const MAX_RETRIES = 120;
+
+    let retries = 0;
+    let config;
+    while (retries < MAX_RETRIES) {
+      config = await this.awsRequest('Lambda', 'getProvisionedConcurrencyConfig', {
+        FunctionName: functionData.functionName,
+        Qualifier: functionData.aliasName,
+      });
+      if (config.Status === 'READY') break;
+      if (config.Status === 'FAILED') {
+        throw new Error(`Provisioned concurrency of ${QUALIFIED_FUNCTION_NAME} failed: ${config.StatusReason || 'Unknown reason'}`);
+      }
+      await new Promise((r) => setTimeout(r, 5000));
+      retries++;
+    }
+    if (config.Status !== 'READY') {
+      throw new Error(`Provisioned concurrency of ${QUALIFIED_FUNCTION_NAME} not ready after ${MAX_RETRIES} retries`);
+    }
+    this.debugLog(
+      `Provisioned concurrency of ${QUALIFIED_FUNCTION_NAME}: ${config.AllocatedProvisionedConcurrentExecutions}/${config.RequestedProvisionedConcurrentExecutions} (${config.Status})`,
+      true,
+      'success',
+    );
+  }
+
+  /**
+   * Removes provisioned concurrency configs left on versions that no alias references anymore.
+   * The aliases are already deployed at this point, so a failure is only reported.
+   */
+  async removeRetiredProvisionedConcurrency(functions) {
+    for (const FUNCTION of functions.filter((fn) => this.getProvisionedConcurrency(fn) !== null)) {
+      try {
+        const [CONFIGS, ALIASES] = await Promise.all([
+          this.awsPaginate('Lambda', 'listProvisionedConcurrencyConfigs', { FunctionName: FUNCTION.functionName }),
+          this.listAllFunctionAliases(FUNCTION.functionName),
+        ]);
+
+        const REFERENCED = new Set();
+        ALIASES.forEach((alias) => {
+          REFERENCED.add(alias.FunctionVersion);
+          Object.keys(alias.RoutingConfig?.AdditionalVersionWeights || {}).forEach((version) => REFERENCED.add(version));
+        });
+
+        for (const CONFIG of CONFIGS) {
+          const QUALIFIER = CONFIG.FunctionArn.split(':')[7];
+          // Alias qualifiers belong to their own deployments
+          if (!/^\d+$/.test(QUALIFIER) || REFERENCED.has(QUALIFIER)) continue;
+          await this.awsRequest('Lambda', 'deleteProvisionedConcurrencyConfig', {
+            FunctionName: FUNCTION.functionName,
+            Qualifier: QUALIFIER,
+          });
+          this.debugLog(`Removed provisioned concurrency from retired version ${FUNCTION.functionName}:${QUALIFIER}`, false, 'success');
+        }
+      } catch (error) {
+        this.debugLog(
+          `Could not remove retired provisioned concurrency of '${FUNCTION.functionName}': ${error.message}`,
+          true,
+          'warning',
+        );
+      }
+    }
+  }
+
+  // --- Async invocation config ---
+
+  /**
+   * Returns the async invocation config of a function's alias (function settings over the global default),
+   * or null when the plugin does not manage it.
+   */
+  getAsyncConfig(functionData) {
+    const FUNCTION_CONFIG = functionData.aliasConfig?.asyncConfig;
+    if (!FUNCTION_CONFIG && !this.config.asyncConfig) return null;
+    const CONFIG = { ...(this.config.asyncConfig || {}), ...(FUNCTION_CONFIG || {}) };
+    return {
+      ...CONFIG,
+      destinations: { ...(this.config.asyncConfig?.destinations || {}), ...(FUNCTION_CONFIG?.destinations || {}) },
+    };
+  }
+
+  validateAsyncConfig(functions) {
+    const INVALID_CONFIG = [];
+    const VALIDATE = (config, label) => {
+      if (!config) return;
+      if (typeof config !== 'object') {
+        INVALID_CONFIG.push(`${label} must be an object`);
+        return;
+      }
+      const { maximumRetryAttempts: RETRIES, maximumEventAge: EVENT_AGE, destinations: DESTINATIONS = {} } = config;
+      if (RETRIES !== undefined && (!Number.isInteger(RETRIES) || RETRIES < 0 || RETRIES > 2)) {
+        INVALID_CONFIG.push(`${label}.maximumRetryAttempts must be an integer between 0 and 2`);
+      }
+      if (EVENT_AGE !== undefined && (!Number.isInteger(EVENT_AGE) || EVENT_AGE < 60 || EVENT_AGE > 21600)) {
+        INVALID_CONFIG.push(`${label}.maximumEventAge must be an integer between 60 and 21600`);
+      }
+      ['onSuccess', 'onFailure'].forEach((key) => {
+        if (DESTINATIONS[key] !== undefined && !String(DESTINATIONS[key]).startsWith('arn:')) {
+          INVALID_CONFIG.push(`${label}.destinations.${key} must be an ARN`);
+        }
+      });
+    };
+
+    VALIDATE(this.config.asyncConfig, 'custom.alias.asyncConfig');
+    Object.entries(functions || {}).forEach(([funcName, funcDef]) => {
+      VALIDATE(funcDef.alias?.asyncConfig, `functions.${funcName}.alias.asyncConfig`);
+    });
+
+    return INVALID_CONFIG;
+  }
+
+  /**
+   * Puts the async invocation config on the alias when it is missing or has drifted from the configuration.
+   */
+  async applyAsyncConfig(functionData) {
+    const CONFIG = this.getAsyncConfig(functionData);
+    if (!CONFIG) return;
+
+    const QUALIFIED_FUNCTION_NAME = `${functionData.functionName}:${functionData.aliasName}`;
+    const DESIRED = {
+      MaximumRetryAttempts: CONFIG.maximumRetryAttempts,
+      MaximumEventAgeInSeconds: CONFIG.maximumEventAge,
+      OnSuccess: CONFIG.destinations.onSuccess,
+      OnFailure: CONFIG.destinations.onFailure,
+    };
+
+    let existing = null;
+    try {
+      existing = await this.awsRequest('Lambda', 'getFunctionEventInvokeConfig', {
+        FunctionName: functionData.functionName,
+        Qualifier: functionData.aliasName,
+      });
+    } catch (error) {
+      if (error.code !== 'ResourceNotFoundException') throw error;
+    }
+
+    const CURRENT = {
+      MaximumRetryAttempts: existing?.MaximumRetryAttempts,
+      MaximumEventAgeInSeconds: existing?.MaximumEventAgeInSeconds,
+      OnSuccess: existing?.DestinationConfig?.OnSuccess?.Destination,
+      OnFailure: existing?.DestinationConfig?.OnFailure?.Destination,
+    };
+    // Unset retry settings keep the Lambda defaults, while destinations must match exactly
+    const DRIFTED = Object.keys(DESIRED).filter((key) => DESIRED[key] !== CURRENT[key]
+      && (DESIRED[key] !== undefined || key === 'OnSuccess' || key === 'OnFailure'));
+    if (existing && DRIFTED.length === 0) {
+      this.debugLog(`Async config of ${QUALIFIED_FUNCTION_NAME} is up to date.`);
+      return;
+    }
+
+    await this.awsRequest('Lambda', 'putFunctionEventInvokeConfig', {
+      FunctionName: functionData.functionName,
+      Qualifier: functionData.aliasName,
+      ...(DESIRED.MaximumRetryAttempts !== undefined ? { MaximumRetryAttempts: DESIRED.MaximumRetryAttempts } : {}),
+      ...(DESIRED.MaximumEventAgeInSeconds !== undefined ? { MaximumEventAgeInSeconds: DESIRED.MaximumEventAgeInSeconds } : {}),
+      DestinationConfig: {
+        ...(DESIRED.OnSuccess ? { OnSuccess: { Destination: DESIRED.OnSuccess } } : {}),
+        ...(DESIRED.OnFailure ? { OnFailure: { Destination: DESIRED.OnFailure } } : {}),
+      },
+    });
+
+    if (existing) {
+      this.debugLog(`Corrected drifted async config of ${QUALIFIED_FUNCTION_NAME} (${DRIFTED.join(', ')})`, true, 'warning');
+    } else {
+      this.debugLog(`Applied async config to ${QUALIFIED_FUNCTION_NAME}`, false, 'success');
+    }
+  }
+
+  // --- Function URLs ---
+
+  validateFunctionUrls(functions) {
+    const INVALID_CONFIG = [];
+    Object.entries(functions || {}).forEach(([funcName, funcDef]) => {
+      const URL_CONFIG = funcDef.alias?.functionUrl;
+      if (URL_CONFIG === undefined || typeof URL_CONFIG === 'boolean') return;
+      if (typeof URL_CONFIG !== 'object') {
+        INVALID_CONFIG.push(`Function '${funcName}' alias.functionUrl must be a boolean or an object`);
+        return;
+      }
+      if (URL_CONFIG.authType !== undefined && !FUNCTION_URL_AUTH_TYPES.includes(URL_CONFIG.authType)) {
+        INVALID_CONFIG.push(`Function '${funcName}' has invalid alias.functionUrl.authType '${URL_CONFIG.authType}'. Valid types are: ${FUNCTION_URL_AUTH_TYPES.join(', ')}`);
+      }
+      if (URL_CONFIG.invokeMode !== undefined && !FUNCTION_URL_INVOKE_MODES.includes(URL_CONFIG.invokeMode)) {
+        INVALID_CONFIG.push(`Function '${funcName}' has invalid alias.functionUrl.invokeMode '${URL_CONFIG.invokeMode}'. Valid modes are: ${FUNCTION_URL_INVOKE_MODES.join(', ')}`);
+      }
+    });
+    return INVALID_CONFIG;
+  }
+
+  /**
+   * Maps the `cors` setting of a function URL to the Lambda Cors structure.
+   */
+  buildFunctionUrlCors(cors) {
+    if (!cors) return {};
+    const CORS = cors === true ? {} : cors;
+    return {
+      AllowOrigins: CORS.allowedOrigins || ['*'],
+      AllowHeaders: CORS.allowedHeaders || ['Content-Type', 'X-Amz-Date', 'Authorization', 'X-Api-Key', 'X-Amz-Security-Token'],
+      AllowMethods: CORS.allowedMethods || ['*'],
+      ...(CORS.allowCredentials !== undefined ? { AllowCredentials: CORS.allowCredentials } : {}),
+      ...(CORS.exposedResponseHeaders ? { ExposeHeaders: CORS.exposedResponseHeaders } : {}),
+      ...(CORS.maxAge !== undefined ? { MaxAge: CORS.maxAge } : {}),
+    };
+  }
+
+  /**
+   * Creates or updates the function URL of the alias (or deletes it for `functionUrl: false`),
+   * with the public invoke permission for the NONE auth type.
+   */
+  async applyFunctionUrl(functionData) {
+    const URL_CONFIG = functionData.aliasConfig?.functionUrl;
+    if (URL_CONFIG === undefined) return;
+
+    const QUALIFIED_FUNCTION_NAME = `${functionData.functionName}:${functionData.aliasName}`;
+    const STATEMENT_ID = `function-url-${functionData.aliasName}`.replace(/[^a-zA-Z0-9-_]/g, '-');
+    const TARGET = { FunctionName: functionData.functionName, Qualifier: functionData.aliasName };
+
+    try {
+      let existing = null;
+      try {
+        existing = await this.awsRequest('Lambda', 'getFunctionUrlConfig', TARGET);
+      } catch (error) {
+        if (error.code !== 'ResourceNotFoundException') throw error;
+      }
+
+      const SETTINGS = URL_CONFIG === true ? {} : URL_CONFIG || {};
+      const AUTH_TYPE = SETTINGS.authType || 'NONE';
+
+      // The public invoke permission is only replaced when it differs, so it is never briefly missing
+      const PUBLIC_ACCESS = URL_CONFIG !== false && AUTH_TYPE === 'NONE';
+      const STATEMENT = await this.getPermissionStatement(QUALIFIED_FUNCTION_NAME, STATEMENT_ID);
+      const STATEMENT_UP_TO_DATE = Boolean(STATEMENT)
+        && STATEMENT.Action === 'lambda:InvokeFunctionUrl'
+        && [STATEMENT.Principal, STATEMENT.Principal?.AWS].includes('*')
+        && STATEMENT.Condition?.StringEquals?.['lambda:FunctionUrlAuthType'] === 'NONE';
+      if (STATEMENT && !(PUBLIC_ACCESS && STATEMENT_UP_TO_DATE)) {
+        await this.awsRequest('Lambda', 'removePermission', { FunctionName: QUALIFIED_FUNCTION_NAME, StatementId: STATEMENT_ID });
+      }
+
+      if (URL_CONFIG === false) {
+        if (existing) {
+          await this.awsRequest('Lambda', 'deleteFunctionUrlConfig', TARGET);
+          this.debugLog(`Removed function URL of ${QUALIFIED_FUNCTION_NAME}`, false, 'success');
+        }
+        return;
+      }
+
+      const PARAMS = {
+        ...TARGET,
+        AuthType: AUTH_TYPE,
+        Cors: this.buildFunctionUrlCors(SETTINGS.cors),
+        InvokeMode: SETTINGS.invokeMode || 'BUFFERED',
+      };
+      const RESULT = existing
+        ? await this.awsRequest('Lambda', 'updateFunctionUrlConfig', PARAMS)
+        : await this.awsRequest('Lambda', 'createFunctionUrlConfig', PARAMS);
+
+      if (PUBLIC_ACCESS && !STATEMENT_UP_TO_DATE) {
+        await this.awsRequest('Lambda', 'addPermission', {
+          FunctionName: QUALIFIED_FUNCTION_NAME,
+          StatementId: STATEMENT_ID,
+          Action: 'lambda:InvokeFunctionUrl',
+          Principal: '*',
+          FunctionUrlAuthType: 'NONE',
+        });
+      }
+
+      this.debugLog(`${PLUGIN_NAME}: Function URL (${QUALIFIED_FUNCTION_NAME}): ${RESULT.FunctionUrl}`, false, 'info');
+      this.debugLog(`Successfully ${existing ? 'updated' : 'created'} function URL of ${QUALIFIED_FUNCTION_NAME}`, false, 'success');
+    } catch (error) {
+      this.debugLog(`Error applying function URL of ${QUALIFIED_FUNCTION_NAME}: ${error.message}`, true, 'error');
+      throw error;
+    }
+  }
+
+  // --- CloudFormation mode ---
+
+  /**
+   * Turns a name into the alphanumeric, capitalized form used in logical IDs.
+   */
+  normalizeLogicalIdPart(name) {
+    const NORMALIZED = String(name).replace(/[^A-Za-z0-9]/g, '');
+    return NORMALIZED.charAt(0).toUpperCase() + NORMALIZED.slice(1);
+  }
+
+  /**
+   * Returns a copy of `value` where every `Fn::GetAtt: [<function>, Arn]` is replaced by `replacement`.
+   */
+  replaceFunctionArnReference(value, functionLogicalId, replacement) {
+    if (Array.isArray(value)) {
+      return value.map((item) => this.replaceFunctionArnReference(item, functionLogicalId, replacement));
+    }
+    if (!value || typeof value !== 'object') return value;
+
+    const GET_ATT = value['Fn::GetAtt'];
+    if (Array.isArray(GET_ATT) && GET_ATT[0] === functionLogicalId && GET_ATT[1] === 'Arn') {
+      return replacement;
+    }
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, this.replaceFunctionArnReference(item, functionLogicalId, replacement)]),
+    );
+  }
+
+  referencesFunction(value, functionLogicalId) {
+    if (Array.isArray(value)) return value.some((item) => this.referencesFunction(item, functionLogicalId));
+    if (!value || typeof value !== 'object') return false;
+    if (value.Ref === functionLogicalId || value['Fn::GetAtt']?.[0] === functionLogicalId) return true;
+    return Object.values(value).some((item) => this.referencesFunction(item, functionLogicalId));
+  }
+
+  /**
+   * Adds the version, alias and permission resources of every managed function to the compiled
+   * template, and points the API integrations at the aliases, so one stack update does the rollout.
+   * In sdk mode, only the ALB targets are removed from the template (see removeTemplateAlbTargets).
+   */
+  compileAliasResources() {
+    if (this.config.mode !== 'cloudformation') {
+      this.removeTemplateAlbTargets();
+      return;
+    }
+
+    const TEMPLATE = this.serverless.service.provider.compiledCloudFormationTemplate;
+    const RESOURCES = TEMPLATE.Resources;
+    const FUNCTIONS = this.getFunctionsForAliasDeployment();
+    this.debugLog(`Adding alias '${this.config.alias}' resources for ${FUNCTIONS.length} functions to the template...`);
+
+    if (this.config.trafficShifting.length > 0 || this.config.autoRollback) {
+      this.debugLog('Traffic shifting and automatic rollback are not applied in cloudformation mode.', true, 'warning');
+    }
+
+    const SDK_ONLY_FEATURES = FUNCTIONS.map((fn) => ({ name: fn.name, features: this.getSdkOnlyFeatures(fn) }))
+      .filter((fn) => fn.features.length > 0);
+    if (SDK_ONLY_FEATURES.length > 0) {
+      this.debugLog(
+        `These settings are only applied in sdk mode and are ignored in cloudformation mode:\n${SDK_ONLY_FEATURES.map((fn) => `  ${fn.name}: ${fn.features.join(', ')}`).join('\n')}`,
+        true,
+        'warning',
+      );
+    }
+
+    for (const FUNCTION of FUNCTIONS) {
+      const FUNCTION_LOGICAL_ID = this.provider.naming.getLambdaLogicalId(FUNCTION.name);
+      const FUNCTION_RESOURCE = RESOURCES[FUNCTION_LOGICAL_ID];
+      if (!FUNCTION_RESOURCE) {
+        this.debugLog(`Function resource '${FUNCTION_LOGICAL_ID}' not found in the template. Skipping.`, false, 'warning');
+        continue;
+      }
+
+      const VERSION_LOGICAL_ID = this.getOrAddVersionResource(RESOURCES, FUNCTION_LOGICAL_ID, FUNCTION_RESOURCE, FUNCTION.name);
+      const ALIAS_LOGICAL_ID = `${FUNCTION_LOGICAL_ID}Alias${this.normalizeLogicalIdPart(FUNCTION.aliasName)}`;
+      const PROVISIONED_CONCURRENCY = this.getProvisionedConcurrency(FUNCTION);
+
+      RESOURCES[ALIAS_LOGICAL_ID] = {
+        Type: 'AWS::Lambda::Alias',
+        Properties: {
+          FunctionName: { Ref: FUNCTION_LOGICAL_ID },
+          FunctionVersion: { 'Fn::GetAtt': [VERSION_LOGICAL_ID, 'Version'] },
+          Name: FUNCTION.aliasName,
+          Description: `Alias managed by ${PLUGIN_NAME}`,
+          ...(PROVISIONED_CONCURRENCY
+            ? { ProvisionedConcurrencyConfig: { ProvisionedConcurrentExecutions: PROVISIONED_CONCURRENCY } }
+            : {}),
+        },
+      };
+
+      const ASYNC_CONFIG = this.getAsyncConfig(FUNCTION);
+      if (ASYNC_CONFIG) {
+        RESOURCES[`${ALIAS_LOGICAL_ID}EventInvokeConfig`] = {
+          Type: 'AWS::Lambda::EventInvokeConfig',
+          DependsOn: ALIAS_LOGICAL_ID,
+          Properties: {
+            FunctionName: { Ref: FUNCTION_LOGICAL_ID },
+            Qualifier: FUNCTION.aliasName,
+            ...(ASYNC_CONFIG.maximumRetryAttempts !== undefined ? { MaximumRetryAttempts: ASYNC_CONFIG.maximumRetryAttempts } : {}),
+            ...(ASYNC_CONFIG.maximumEventAge !== undefined ? { MaximumEventAgeInSeconds: ASYNC_CONFIG.maximumEventAge } : {}),
+            DestinationConfig: {
+              ...(ASYNC_CONFIG.destinations.onSuccess ? { OnSuccess: { Destination: ASYNC_CONFIG.destinations.onSuccess } } : {}),
+              ...(ASYNC_CONFIG.destinations.onFailure ? { OnFailure: { Destination: ASYNC_CONFIG.destinations.onFailure } } : {}),
+            },
+          },
+        };
+      }
+
+      this.rewriteTemplateIntegrations(RESOURCES, FUNCTION, FUNCTION_LOGICAL_ID, ALIAS_LOGICAL_ID);
+      this.debugLog(`Added alias resource '${ALIAS_LOGICAL_ID}' for function '${FUNCTION.name}'`, false, 'success');
+    }
+  }
+
+  /**
+   * Removes the managed functions from the targets of the ALB target groups Serverless compiled. The alias
+   * deployment registers the alias instead, so the stack neither drifts nor registers the unqualified function again.
+   */
+  removeTemplateAlbTargets() {
+    const RESOURCES = this.serverless.service.provider.compiledCloudFormationTemplate?.Resources || {};
+    const ALB_FUNCTIONS = this.getFunctionsForAliasDeployment().filter((fn) => fn.events.some((event) => event.alb));
+
+    for (const FUNCTION of ALB_FUNCTIONS) {
+      const FUNCTION_LOGICAL_ID = this.provider.naming.getLambdaLogicalId(FUNCTION.name);
+      Object.entries(RESOURCES)
+        .filter(([, resource]) => resource.Type === 'AWS::ElasticLoadBalancingV2::TargetGroup'
+          && (resource.Properties?.Targets || []).some((target) => this.referencesFunction(target.Id, FUNCTION_LOGICAL_ID)))
+        .forEach(([logicalId, resource]) => {
+          const TARGETS = resource.Properties.Targets.filter((target) => !this.referencesFunction(target.Id, FUNCTION_LOGICAL_ID));
+          if (TARGETS.length > 0) {
+            resource.Properties.Targets = TARGETS;
+          } else {
+            delete resource.Properties.Targets;
+          }
+          this.debugLog(`Removed function '${FUNCTION.name}' from the targets of '${logicalId}', its alias is registered instead`);
+        });
+    }
+  }
+
+  /**
+   * Returns the event types and alias settings of a function that cloudformation mode does not apply.
+   */
+  getSdkOnlyFeatures(functionData) {
+    const FEATURES = ['alb', 'sqs', 'stream', 'schedule', 'eventBridge', 'cloudwatchEvent', 'sns']
+      .filter((type) => functionData.events.some((event) => event[type]))
+      .map((type) => `${type} events`);
+    if (functionData.aliasConfig.functionUrl !== undefined) FEATURES.push('functionUrl');
+    return FEATURES;
+  }
+
+  /**
+   * Returns the version resource Serverless generated for the function (versionFunctions), or adds one.
+   */
+  getOrAddVersionResource(resources, functionLogicalId, functionResource, functionName) {
+    const EXISTING = Object.entries(resources).find(([, resource]) => resource.Type === 'AWS::Lambda::Version'
+      && resource.Properties?.FunctionName?.Ref === functionLogicalId);
+    if (EXISTING) return EXISTING[0];
+
+    // Without versionFunctions, hash the function's code and configuration so a new version is published when
+    // either changes. The S3 key of the code differs on every deployment, so the artifact itself is hashed.
+    const { Code: CODE, ...CONFIGURATION } = functionResource.Properties || {};
+    const HASH = crypto.createHash('sha256')
+      .update(JSON.stringify({ code: this.getArtifactHash(functionName) || CODE, configuration: CONFIGURATION }))
+      .digest('hex');
+    const VERSION_LOGICAL_ID = `${functionLogicalId}AliasVersion${HASH.slice(0, 16)}`;
+    resources[VERSION_LOGICAL_ID] = {
+      Type: 'AWS::Lambda::Version',
+      DeletionPolicy: 'Retain',
+      Properties: { FunctionName: { Ref: functionLogicalId } },
+    };
+    return VERSION_LOGICAL_ID;
+  }
+
+  /**
+   * Returns the sha256 of a function's packaged artifact, or null when it has none (e.g. image functions).
+   */
+  getArtifactHash(functionName) {
+    const FUNCTION_OBJECT = this.serverless.service.functions?.[functionName];
+    const ARTIFACT = FUNCTION_OBJECT?.package?.artifact || this.serverless.service.package?.artifact;
+    if (!ARTIFACT || FUNCTION_OBJECT?.image) return null;
+    try {
+      return crypto.createHash('sha256').update(fs.readFileSync(path.resolve(this.getServiceDir(), ARTIFACT))).digest('hex');
+    } catch (error) {
+      this.debugLog(`Could not read the artifact of function '${functionName}': ${error.message}`, false, 'warning');
+      return null;
+    }
+  }
+
+  /**
+   * Points the REST, WebSocket and HTTP API integrations of a function at its alias (or at the
+   * per-function stage variable), and grants API Gateway access to the alias.
+   */
+  rewriteTemplateIntegrations(resources, functionData, functionLogicalId, aliasLogicalId) {
+    const TARGET = this.config.perFunctionStageVars
+      ? { 'Fn::Join': ['', [{ 'Fn::GetAtt': [functionLogicalId, 'Arn'] }, `:${this.getStageVarExprForFunction(functionData.name)}`]] }
+      : { Ref: aliasLogicalId };
+
+    // functions.<name>.alias.events may leave some API types on the unqualified function
+    const REWIRES_REST = functionData.events.some((event) => event.http);
+    const REWIRES_V2 = functionData.events.some((event) => event.websocket || event.httpApi);
+
+    Object.entries(resources).forEach(([logicalId, resource]) => {
+      if (REWIRES_REST && resource.Type === 'AWS::ApiGateway::Method' && this.referencesFunction(resource.Properties?.Integration?.Uri, functionLogicalId)) {
+        resource.Properties.Integration.Uri = this.replaceFunctionArnReference(resource.Properties.Integration.Uri, functionLogicalId, TARGET);
+        this.debugLog(`Rewrote integration URI of '${logicalId}'`);
+      }
+      if (REWIRES_V2 && resource.Type === 'AWS::ApiGatewayV2::Integration' && this.referencesFunction(resource.Properties?.IntegrationUri, functionLogicalId)) {
+        resource.Properties.IntegrationUri = this.replaceFunctionArnReference(resource.Properties.IntegrationUri, functionLogicalId, TARGET);
+        this.debugLog(`Rewrote integration URI of '${logicalId}'`);
+      }
+    });
+
+    // In per-function stage variable mode the unqualified permissions already cover every alias
+    if (this.config.perFunctionStageVars) return;
+
+    Object.entries(resources)
+      .filter(([, resource]) => resource.Type === 'AWS::Lambda::Permission'
+        && resource.Properties?.Principal === 'apigateway.amazonaws.com'
+        && this.referencesFunction(resource.Properties.FunctionName, functionLogicalId))
+      .forEach(([logicalId, resource]) => {
+        resources[`${logicalId}${this.normalizeLogicalIdPart(functionData.aliasName)}Alias`] = {
+          Type: 'AWS::Lambda::Permission',
+          Properties: { ...resource.Properties, FunctionName: { Ref: aliasLogicalId } },
+        };
+      });
+  }
+
+  // --- Plan (dry-run) ---
+
+  /**
+   * Returns a statement of a function's resource policy, or null when the function has no such statement.
+   */
+  async getPermissionStatement(functionName, statementId) {
+    try {
+      const POLICY = await this.awsRequest('Lambda', 'getPolicy', { FunctionName: functionName });
+      return (JSON.parse(POLICY.Policy).Statement || []).find((statement) => statement.Sid === statementId) || null;
+    } catch (error) {
+      if (error.code === 'ResourceNotFoundException') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Returns the statement IDs of a function's resource policy (empty when there is no policy).
+   * @param {string} functionName - Function name, optionally qualified (e.g. "fn:alias")
+   */
+  async getPermissionStatementIds(functionName) {
+    try {
+      const POLICY = await this.awsRequest('Lambda', 'getPolicy', { FunctionName: functionName });
+      return new Set((JSON.parse(POLICY.Policy).Statement || []).map((statement) => statement.Sid));
+    } catch (error) {
+      if (error.code === 'ResourceNotFoundException') return new Set();
+      throw error;
+    }
+  }
+
+  /**
+   * Adds the unqualified permissions of an event source, which the alias permissions replace, to the plan.
+   */
+  async planPermissionRemovals(plan, functionName, principal, sourceArn, keepStackOwned = false) {
+    (await this.getUnqualifiedPermissions(functionName, principal, sourceArn, keepStackOwned)).forEach((statement) => {
+      plan.permissions.push({ functionName, statementId: statement.Sid, sourceArn, action: 'remove' });
+    });
+  }
+
+  async planPermissions(plan, permissions) {
+    const EXISTING_STATEMENT_IDS = await this.getPermissionStatementIds(permissions.functionName);
+    permissions.statements.forEach((statement) => {
+      plan.permissions.push({
+        functionName: permissions.functionName,
+        statementId: statement.StatementId,
+        sourceArn: statement.SourceArn,
+        action: EXISTING_STATEMENT_IDS.has(statement.StatementId) ? 'replace' : 'add',
+      });
+    });
+  }
+
+  /**
+   * Runs the decision logic of the alias workflow without changing anything.
+   * @returns {Promise<Object>} Functions to publish/move, integration URIs to rewrite,
+   *   permissions to add or replace and stages to deploy
+   */
+  async buildAliasPlan() {
+    await this.getAwsAccountId();
+    const FUNCTIONS = this.getFunctionsForAliasDeployment();
+    await this.resolveFunctionEnvironments(FUNCTIONS);
+    const PLAN = { alias: this.config.alias, functions: [], integrations: [], permissions: [], stages: [] };
+    const MOVED_ALIASES = [];
+
+    for (const FUNCTION of FUNCTIONS) {
+      const VERSION_PLAN = await this.getAliasVersionPlan(FUNCTION);
+      const FROM_VERSION = VERSION_PLAN.existingAlias ? VERSION_PLAN.existingAlias.FunctionVersion : null;
+      const TO_VERSION = VERSION_PLAN.action === 'publish' ? '(new version)' : VERSION_PLAN.version || FROM_VERSION;
+      const MOVES = VERSION_PLAN.action !== 'skip' && TO_VERSION !== FROM_VERSION;
+
+      PLAN.functions.push({
+        name: FUNCTION.name,
+        functionName: FUNCTION.functionName,
+        aliasName: FUNCTION.aliasName,
+        action: VERSION_PLAN.action,
+        reasons: VERSION_PLAN.reasons,
+        fromVersion: FROM_VERSION,
+        toVersion: TO_VERSION,
+        aliasChange: VERSION_PLAN.action === 'skip' ? 'none' : FROM_VERSION ? (MOVES ? 'move' : 'none') : 'create',
+        trafficShifting: MOVES && !!FROM_VERSION && this.config.trafficShifting.length > 0
+          && FROM_VERSION !== '$LATEST' && TO_VERSION !== '$LATEST',
+        additionalAliases: [],
+      });
+      for (const SPEC of this.config.additionalAliases) {
+        const TARGET_VERSION = this.getAdditionalAliasVersion(SPEC, TO_VERSION, MOVES ? FROM_VERSION : null);
+        const EXISTING_ALIAS = await this.getExistingAlias(FUNCTION.functionName, SPEC.name);
+        const CURRENT_VERSION = EXISTING_ALIAS ? EXISTING_ALIAS.FunctionVersion : null;
+        PLAN.functions[PLAN.functions.length - 1].additionalAliases.push({
+          name: SPEC.name,
+          fromVersion: CURRENT_VERSION,
+          toVersion: TARGET_VERSION || CURRENT_VERSION,
+        });
+      }
+
+      if (VERSION_PLAN.action !== 'skip') {
+        MOVED_ALIASES.push({ functionName: FUNCTION.functionName, name: FUNCTION.name, aliasName: FUNCTION.aliasName, events: FUNCTION.events });
+      }
+    }
+
+    const HTTP_ALIASES = MOVED_ALIASES.filter((alias) => this.hasHttpEvents(alias.name, FUNCTIONS));
+    if (HTTP_ALIASES.length > 0 && this.config.restApiId) {
+      const RESOURCES = await this.getApiGatewayResources();
+      for (const ALIAS of HTTP_ALIASES) {
+        for (const EVENT of this.getHttpEventsForFunction(ALIAS.name, FUNCTIONS)) {
+          const RESOURCE = this.findResourceByPath(RESOURCES, EVENT.path);
+          if (!RESOURCE) {
+            PLAN.integrations.push({ api: 'rest', function: ALIAS.name, route: `${EVENT.method} ${EVENT.path}`, skipped: 'resource not found' });
+            continue;
+          }
+          let currentUri = null;
+          try {
+            const INTEGRATION = await this.awsRequest('APIGateway', 'getIntegration', {
+              restApiId: this.config.restApiId,
+              resourceId: RESOURCE.id,
+              httpMethod: EVENT.method,
+            });
+            currentUri = INTEGRATION.uri || null;
+          } catch (error) {
+            if (error.code !== 'NotFoundException') throw error;
+          }
+          PLAN.integrations.push({
+            api: 'rest',
+            function: ALIAS.name,
+            route: `${EVENT.method} ${EVENT.path}`,
+            from: currentUri,
+            to: this.buildLambdaIntegrationUri(ALIAS).uri,
+          });
+          await this.planPermissions(PLAN, this.getApiGatewayPermissions(ALIAS, RESOURCE.id, EVENT.method, EVENT.path));
+        }
+      }
+      PLAN.stages.push({
+        api: 'rest',
+        id: this.config.restApiId,
+        stage: this.provider.getStage(),
+        deploy: !this.config.skipApiGateway,
+        variables: this.config.skipApiGateway || this.config.skipSetGlobalStageVar ? {} : { alias: this.config.alias },
+      });
+    }
+
+    const WEBSOCKET_ALIASES = MOVED_ALIASES.filter((alias) => this.hasWebSocketEvents(alias.name, FUNCTIONS));
+    if (WEBSOCKET_ALIASES.length > 0 && this.config.websocketApiId) {
+      const ROUTES = await this.getWebSocketApiRoutes();
+      const INTEGRATIONS = await this.getWebSocketApiIntegrations();
+      for (const ALIAS of WEBSOCKET_ALIASES) {
+        for (const EVENT of this.getWebSocketEventsForFunction(ALIAS.name, FUNCTIONS)) {
+          const ROUTE = ROUTES.find((route) => route.RouteKey === EVENT.route);
+          const ROUTE_INTEGRATION = ROUTE ? this.findWebSocketRouteIntegration(ROUTE, INTEGRATIONS) : null;
+          if (!ROUTE_INTEGRATION) {
+            PLAN.integrations.push({
+              api: 'websocket',
+              function: ALIAS.name,
+              route: EVENT.route,
+              skipped: ROUTE ? 'integration not found' : 'route not found',
+            });
+            continue;
+          }
+          PLAN.integrations.push({
+            api: 'websocket',
+            function: ALIAS.name,
+            route: EVENT.route,
+            from: ROUTE_INTEGRATION.IntegrationUri || null,
+            to: this.buildLambdaIntegrationUri(ALIAS).uri,
+          });
+          await this.planPermissions(PLAN, this.getWebSocketPermissions(ALIAS, ROUTE.RouteId, EVENT.route));
+        }
+      }
+      PLAN.stages.push({
+        api: 'websocket',
+        id: this.config.websocketApiId,
+        stage: this.provider.getStage(),
+        deploy: !this.config.skipWebSocketGateway,
+        variables: this.config.skipWebSocketGateway || this.config.skipSetGlobalStageVar ? {} : { alias: this.config.alias },
+      });
+    }
+
+    const HTTP_API_ALIASES = MOVED_ALIASES.filter((alias) => this.hasHttpApiEvents(alias.name, FUNCTIONS));
+    if (HTTP_API_ALIASES.length > 0 && await this.resolveHttpApiId()) {
+      const ROUTES = await this.awsPaginate('ApiGatewayV2', 'getRoutes', { ApiId: this.config.httpApiId });
+      for (const ALIAS of HTTP_API_ALIASES) {
+        for (const EVENT of this.getHttpApiEventsForFunction(ALIAS.name, FUNCTIONS)) {
+          const ROUTE = ROUTES.find((route) => route.RouteKey === EVENT.routeKey);
+          if (!ROUTE?.Target) {
+            PLAN.integrations.push({ api: 'http', function: ALIAS.name, route: EVENT.routeKey, skipped: 'route not found' });
+            continue;
+          }
+          const INTEGRATION = await this.awsRequest('ApiGatewayV2', 'getIntegration', {
+            ApiId: this.config.httpApiId,
+            IntegrationId: ROUTE.Target.split('/').pop(),
+          });
+          PLAN.integrations.push({
+            api: 'http',
+            function: ALIAS.name,
+            route: EVENT.routeKey,
+            from: INTEGRATION.IntegrationUri || null,
+            to: this.buildStageVarLambdaArn(ALIAS),
+          });
+          await this.planPermissions(PLAN, this.getHttpApiPermissions(ALIAS, ROUTE.RouteId, EVENT.routeKey));
+        }
+      }
+      PLAN.stages.push({
+        api: 'http',
+        id: this.config.httpApiId,
+        stage: this.config.httpApiStage,
+        deploy: !this.config.skipHttpApi,
+        variables: this.config.skipHttpApi || this.config.skipSetGlobalStageVar ? {} : { alias: this.config.alias },
+      });
+    }
+
+    // Target groups are checked for unchanged functions too (see deployAliasWorkflow)
+    const ALB_ALIASES = FUNCTIONS.filter((fn) => this.hasAlbEvents(fn.name, FUNCTIONS));
+    for (const ALIAS of ALB_ALIASES) {
+      for (const EVENT of this.getAlbEventsForFunction(ALIAS.name, FUNCTIONS)) {
+        const TARGET_GROUP_ARNS = await this.getAlbTargetGroupArns(EVENT);
+        if (TARGET_GROUP_ARNS.length === 0) {
+          PLAN.integrations.push({ api: 'alb', function: ALIAS.name, route: `priority ${EVENT.priority}`, skipped: 'target group not found' });
+          continue;
+        }
+        for (const TARGET_GROUP_ARN of TARGET_GROUP_ARNS) {
+          const HEALTH = await this.awsRequest('ELBv2', 'describeTargetHealth', { TargetGroupArn: TARGET_GROUP_ARN });
+          PLAN.integrations.push({
+            api: 'alb',
+            function: ALIAS.name,
+            route: TARGET_GROUP_ARN,
+            from: (HEALTH.TargetHealthDescriptions || []).map((target) => target.Target.Id)
+              .filter((targetId) => this.isFunctionTarget(ALIAS, targetId)).join(', ') || null,
+            to: this.buildAliasArn(ALIAS),
+          });
+          await this.planPermissions(PLAN, this.getAlbPermissions(ALIAS, TARGET_GROUP_ARN));
+        }
+      }
+    }
+
+    // Mappings are moved onto the alias of unchanged functions too (see deployAliasWorkflow)
+    const EVENT_SOURCE_ALIASES = FUNCTIONS.filter((fn) => this.hasEventSourceMappingEvents(fn.name, FUNCTIONS));
+    for (const ALIAS of EVENT_SOURCE_ALIASES) {
+      const MAPPINGS = await this.listEventSourceMappings(ALIAS.functionName);
+      MAPPINGS.filter((mapping) => !this.getEventSourceMappingQualifier(mapping)).forEach((mapping) => PLAN.integrations.push({
+        api: 'event-source',
+        function: ALIAS.name,
+        route: this.getEventSourceName(mapping.EventSourceArn),
+        from: mapping.FunctionArn,
+        to: this.buildAliasArn(ALIAS),
+      }));
+    }
+
+    // Rule targets are pointed at the alias of unchanged functions too (see deployAliasWorkflow)
+    const EVENT_RULE_ALIASES = FUNCTIONS.filter((fn) => this.hasEventRuleEvents(fn.name, FUNCTIONS));
+    for (const ALIAS of EVENT_RULE_ALIASES) {
+      for (const RULE of await this.getEventRulesTargetingFunction(ALIAS, FUNCTIONS)) {
+        PLAN.integrations.push({
+          api: 'eventbridge',
+          function: ALIAS.name,
+          route: RULE.name,
+          from: RULE.targets.map((target) => target.Arn).join(', '),
+          to: this.buildAliasArn(ALIAS),
+        });
+        await this.planPermissions(PLAN, this.getEventRulePermissions(ALIAS, RULE));
+        await this.planPermissionRemovals(PLAN, ALIAS.functionName, 'events.amazonaws.com', RULE.arn, true);
+      }
+    }
+
+    const SNS_ALIASES = MOVED_ALIASES.filter((alias) => this.hasSnsEvents(alias.name, FUNCTIONS));
+    for (const ALIAS of SNS_ALIASES) {
+      for (const TOPIC of await this.getSnsSubscriptionsOfFunction(ALIAS, FUNCTIONS)) {
+        if (TOPIC.stackSubscriptions.length > 0) {
+          PLAN.integrations.push({ api: 'sns', function: ALIAS.name, route: TOPIC.topicArn, skipped: 'subscription owned by the stack' });
+          continue;
+        }
+        PLAN.integrations.push({
+          api: 'sns',
+          function: ALIAS.name,
+          route: TOPIC.topicArn,
+          from: TOPIC.subscriptions.map((subscription) => subscription.Endpoint).join(', '),
+          to: this.buildAliasArn(ALIAS),
+        });
+        await this.planPermissions(PLAN, this.getSnsPermissions(ALIAS, TOPIC.topicArn));
+        await this.planPermissionRemovals(PLAN, ALIAS.functionName, 'sns.amazonaws.com', TOPIC.topicArn, true);
+      }
+    }
+
+    return PLAN;
+  }
+
+  printAliasPlan(plan) {
+    this.printOutput(`Alias deployment plan for '${plan.alias}':\n`);
+    this.printOutput(this.formatTable(
+      ['Function', 'Version', 'Alias', 'Reason'],
+      plan.functions.map((fn) => [
+        fn.aliasName === plan.alias ? fn.name : `${fn.name} (${fn.aliasName})`,
+        fn.action === 'publish' ? 'publish' : fn.action === 'use-latest' ? 'use latest' : '-',
+        fn.aliasChange === 'none'
+          ? `${fn.fromVersion || '-'} (unchanged)`
+          : `${fn.fromVersion || '(new alias)'} -> ${fn.toVersion}${fn.trafficShifting ? ' (traffic shifting)' : ''}`,
+        fn.reasons.join(', '),
+      ]),
+    ));
+
+    const ADDITIONAL_ALIASES = plan.functions.flatMap((fn) => fn.additionalAliases.map((alias) => ({ function: fn.name, ...alias })));
+    if (ADDITIONAL_ALIASES.length > 0) {
+      this.printOutput('\nAdditional aliases:');
+      this.printOutput(this.formatTable(
+        ['Function', 'Alias', 'Version'],
+        ADDITIONAL_ALIASES.map((alias) => [
+          alias.function,
+          alias.name,
+          alias.fromVersion === alias.toVersion
+            ? `${alias.fromVersion || '-'} (unchanged)`
+            : `${alias.fromVersion || '(new alias)'} -> ${alias.toVersion}`,
+        ]),
+      ).replace(/^/gm, '  '));
+    }
+
+    if (plan.integrations.length > 0) {
+      this.printOutput('\nIntegrations:');
+      plan.integrations.forEach((integration) => {
+        this.printOutput(`  [${integration.api}] ${integration.route} (${integration.function})`);
+        if (integration.skipped) {
+          this.printOutput(`    skipped: ${integration.skipped}`);
+          return;
+        }
+        if (integration.from === integration.to) {
+          this.printOutput(`    unchanged: ${integration.to}`);
+          return;
+        }
+        this.printOutput(`    - ${integration.from || '(none)'}`);
+        this.printOutput(`    + ${integration.to}`);
+      });
+    }
+
+    if (plan.permissions.length > 0) {
+      this.printOutput('\nPermissions:');
+      plan.permissions.forEach((permission) => {
+        this.printOutput(`  ${{ replace: '~', remove: '-' }[permission.action] || '+'} ${permission.functionName} ${permission.statementId} (${permission.sourceArn})`);
+      });
+    }
+
+    if (plan.stages.length > 0) {
+      this.printOutput('\nStages:');
+      plan.stages.forEach((stage) => {
+        const VARIABLES = Object.entries(stage.variables).map(([key, value]) => `${key}=${value}`).join(', ');
+        this.printOutput(
+          `  [${stage.api}] ${stage.id}/${stage.stage}: ${stage.deploy ? 'new deployment' : 'deployment skipped'}${VARIABLES ? `, set ${VARIABLES}` : ''}`,
+        );
+      });
+    }
+  }
+
+  /**
+   * `sls alias plan [--json]` and `sls deploy --alias-dry-run`
+   */
+  async planCommand() {
+    try {
+      const PLAN = await this.buildAliasPlan();
+      if (this.options.json) {
+        this.printOutput(JSON.stringify(PLAN, null, 2));
+      } else {
+        this.printAliasPlan(PLAN);
+      }
+    } catch (error) {
+      this.debugLog(`Error building alias plan: ${error.message}`, true, 'error');
+      throw new this.serverless.classes.Error(`Alias plan failed: ${error.message}`);
+    }
+  }
+
+  // --- Helpers for per-function stage vars ---
+
+  /**
+   * Returns the `functions.<name>.alias` block of a function (empty when not configured).
+   */
+  getFunctionAliasConfig(functionName) {
+    return this.serverless.service.functions?.[functionName]?.alias || {};
+  }
+
+  /**
+   * Build the stage variable key for a function based on template and sanitization.
+   * `functions.<name>.alias.stageVarKey` takes precedence over the template.
+   * @param {string} functionName - The logical serverless function name (as in serverless.yml)
+   * @param {string} [aliasName] - Alias name used for the {aliasName} placeholder (defaults to the function's alias)
+   * @returns {string} stage variable key (e.g., "audiencesAlias")
+   */
+  buildStageVarKey(functionName, aliasName = this.getFunctionAliasConfig(functionName).name || this.config.alias || '') {
+    const STAGE_VAR_KEY = this.getFunctionAliasConfig(functionName).stageVarKey;
+    if (STAGE_VAR_KEY) return STAGE_VAR_KEY;
+    const template = this.config.stageVarKeyTemplate || '{functionName}Alias';
+    let key = template
+      .replace(/{functionName}/g, functionName || 'function')
+      .replace(/{aliasName}/g, aliasName);
+    if (this.config.stageVarSanitize) {
+      key = key.replace(/[^A-Za-z0-9_]/g, '_');
+    }
+    return key;
+  }
+
+  /**
+   * Returns the stage variable expression to inject in integration URIs.
+   * For global mode: ${stageVariables.alias}
+   * For per-function mode: ${stageVariables.<key>}
+   */
+  getStageVarExprForFunction(functionName) {
+    if (!this.config.perFunctionStageVars) {
+      return '${stageVariables.alias}';
+    }
+    const key = this.buildStageVarKey(functionName);
+    return `\${stageVariables.${key}}`;
+  }
+
+  // --- Build metadata (description and tag templates) ---
+
+  getServiceDir() {
+    return this.serverless.serviceDir || this.serverless.config?.servicePath || process.cwd();
+  }
+
+  /**
+   * Returns the git and CI values of the description and tag templates, read once per deployment.
+   */
+  getBuildMetadata() {
+    this.buildMetadata = this.buildMetadata || this.loadBuildMetadata();
+    return this.buildMetadata;
+  }
+
+  async loadBuildMetadata() {
+    const SERVICE_DIR = this.getServiceDir();
+    const GIT = async (...args) => {
+      try {
+        const { stdout } = await execFileAsync('git', args, { cwd: SERVICE_DIR, timeout: 10000 });
+        return stdout.trim();
+      } catch (error) {
+        return '';
+      }
+    };
+
+    const GIT_COMMIT = await GIT('rev-parse', 'HEAD');
+    if (!GIT_COMMIT) {
+      this.debugLog(`No git repository found in ${SERVICE_DIR}. Git placeholders will be empty.`, false, 'warning');
+    }
+    const GIT_BRANCH = await GIT('rev-parse', '--abbrev-ref', 'HEAD');
+    const CI_BRANCH = CI_BRANCH_VARIABLES.map((name) => process.env[name]).find(Boolean);
+    const GITHUB_BUILD_URL = process.env.GITHUB_RUN_ID
+      ? `${process.env.GITHUB_SERVER_URL || 'https://github.com'}/${process.env.GITHUB_REPOSITORY}/actions/runs/${process.env.GITHUB_RUN_ID}`
+      : null;
+
+    return {
+      gitCommit: GIT_COMMIT,
+      gitShortCommit: GIT_COMMIT.slice(0, 7),
+      gitBranch: (GIT_BRANCH && GIT_BRANCH !== 'HEAD' ? GIT_BRANCH : CI_BRANCH) || '',
+      gitTag: GIT_COMMIT ? await GIT('describe', '--tags', '--exact-match', 'HEAD') : '',
+      gitAuthor: GIT_COMMIT ? await GIT('log', '-1', '--format=%an') : '',
+      timestamp: new Date().toISOString(),
+      ciBuildUrl: GITHUB_BUILD_URL || CI_BUILD_URL_VARIABLES.map((name) => process.env[name]).find(Boolean) || '',
+    };
+  }
+
+  /**
+   * Returns the placeholder values of a function's templates.
+   * @param {{functionName: string, aliasName: string}} functionData - Physical function name and the alias being deployed
+   * @param {Object} [values] - Additional placeholders, such as {description} or {version}
+   */
+  async getTemplateValues(functionData, values = {}) {
+    return {
+      ...await this.getBuildMetadata(),
+      aliasName: functionData.aliasName,
+      functionName: functionData.functionName,
+      ...values,
+    };
+  }
+
+  /**
+   * Replaces the {placeholder}s of a template. Unknown placeholders are left as they are.
+   */
+  renderMetadataTemplate(template, values) {
+    return template.replace(/{(\w+)}/g, (match, key) => (values[key] !== undefined && values[key] !== null ? String(values[key]) : match));
+  }
+
+  /**
+   * Applies the tag templates to the function after a version is published. Lambda only supports tags
+   * on the function itself, not on versions or aliases, so the tags describe the latest published version.
+   * The function belongs to the stack, so drift detection reports these tags; keys the stack also sets are overwritten by it.
+   */
+  async applyVersionTags(functionName, values) {
+    if (Object.keys(this.config.tags).length === 0) return;
+    const TAGS = Object.fromEntries(Object.entries(this.config.tags).map(([key, template]) => [
+      key,
+      // Characters Lambda does not accept in tag values are replaced
+      this.renderMetadataTemplate(template, values).replace(/[^\p{L}\p{Z}\p{N}_.:/=+\-@]/gu, '_').slice(0, 256),
+    ]));
+
+    try {
+      await this.awsRequest('Lambda', 'tagResource', { Resource: this.buildFunctionArn({ functionName }), Tags: TAGS });
+      this.debugLog(`Tagged function ${functionName}: ${Object.entries(TAGS).map(([key, value]) => `${key}=${value}`).join(', ')}`);
+    } catch (error) {
+      this.debugLog(`Could not tag function ${functionName}: ${error.message}`, true, 'warning');
+    }
+  }
+
+  // --- Core Deployment Workflow ---
+
+  async deployAliasWorkflow() {
+    if (this.config.mode === 'cloudformation') {
+      this.debugLog(`${PLUGIN_NAME}: Aliases were deployed by the CloudFormation stack update.`, false, 'info');
+      return;
+    }
+
+    if (this.options['alias-dry-run']) {
+      await this.planCommand();
+      return;
+    }
+
+    this.startDeploymentReport();
+    let workflowError = null;
+    try {
+      this.debugLog(`${PLUGIN_NAME}: Starting alias deployment workflow...`, false, 'info');
+      await this.getAwsAccountId();
+
+      const FUNCTIONS = this.getFunctionsForAliasDeployment();
+      if (FUNCTIONS.length === 0) {
+        this.debugLog('No functions to process for alias deployment. Exiting.', true, 'warning');
+        return;
+      }
+
+      this.debugLog(`Found ${FUNCTIONS.length} functions to process for alias deployment.`);
+      // Comparisons and publishing use the values Lambda stores, not the intrinsics of serverless.yml
+      await this.resolveFunctionEnvironments(FUNCTIONS);
+      await this.preflightStageVariables(FUNCTIONS);
+      const CREATED_ALIASES = await this.createOrUpdateFunctionAliases(FUNCTIONS);
+
+      if (CREATED_ALIASES.length === 0) {
+        this.debugLog(
+          'No aliases were created or updated. Consider using the --force flag to force alias deployment if needed.',
+          false,
+          'warning',
+        );
+      }
+
+      const HTTP_ALIASES = CREATED_ALIASES.filter((alias) => this.hasHttpEvents(alias.name, FUNCTIONS));
+      const WEBSOCKET_ALIASES = CREATED_ALIASES.filter((alias) => this.hasWebSocketEvents(alias.name, FUNCTIONS));
+
+      if (HTTP_ALIASES.length > 0 && this.config.restApiId) {
+        await this.updateApiGatewayIntegrations(FUNCTIONS, HTTP_ALIASES);
+      } else if (HTTP_ALIASES.length > 0) {
+        this.debugLog('HTTP events found but no REST API ID provided. Skipping HTTP integrations.', false, 'warning');
+      }
+
+      if (WEBSOCKET_ALIASES.length > 0 && this.config.websocketApiId) {
+        await this.updateWebSocketApiIntegrations(FUNCTIONS, WEBSOCKET_ALIASES);
+      } else if (WEBSOCKET_ALIASES.length > 0) {
+        this.debugLog(
+          'WebSocket events found but no WebSocket API ID provided. Skipping WebSocket integrations.',
+          false,
+          'warning',
+        );
+      }
+
+      const HTTP_API_ALIASES = CREATED_ALIASES.filter((alias) => this.hasHttpApiEvents(alias.name, FUNCTIONS));
+      if (HTTP_API_ALIASES.length > 0 && await this.resolveHttpApiId()) {
+        await this.updateHttpApiIntegrations(FUNCTIONS, HTTP_API_ALIASES);
+      } else if (HTTP_API_ALIASES.length > 0) {
+        this.debugLog('httpApi events found but no HTTP API ID could be resolved. Skipping HTTP API integrations.', false, 'warning');
+      }
+
+      // The template leaves the target groups to the plugin (see removeTemplateAlbTargets), unchanged functions included
+      const ALB_ALIASES = await this.getDeployedAliases(
+        FUNCTIONS.filter((fn) => this.hasAlbEvents(fn.name, FUNCTIONS)),
+        CREATED_ALIASES,
+      );
+      if (ALB_ALIASES.length > 0) {
+        await this.updateAlbTargetGroups(FUNCTIONS, ALB_ALIASES);
+      }
+
+      // A stack update points the mappings back at the unqualified function, unchanged functions included
+      const EVENT_SOURCE_ALIASES = await this.getDeployedAliases(
+        FUNCTIONS.filter((fn) => this.hasEventSourceMappingEvents(fn.name, FUNCTIONS)),
+        CREATED_ALIASES,
+      );
+      const EVENT_SOURCE_CHANGES = [];
+      for (const ALIAS of EVENT_SOURCE_ALIASES) {
+        EVENT_SOURCE_CHANGES.push(...await this.moveEventSourceMappings(ALIAS.functionName, null, ALIAS.aliasName));
+      }
+      EVENT_SOURCE_CHANGES.forEach((change) => this.recordReport('integrations', {
+        type: 'eventSourceMapping',
+        functionName: change.functionName,
+        target: change.source,
+        uuid: change.uuid,
+        action: change.action,
+        previousUri: change.previousFunctionArn,
+        uri: change.targetFunctionName,
+      }));
+
+      // A stack update points the targets of its rules back at the unqualified function, unchanged functions included
+      const EVENT_RULE_ALIASES = await this.getDeployedAliases(
+        FUNCTIONS.filter((fn) => this.hasEventRuleEvents(fn.name, FUNCTIONS)),
+        CREATED_ALIASES,
+      );
+      if (EVENT_RULE_ALIASES.length > 0) {
+        await this.updateEventRuleTargets(FUNCTIONS, EVENT_RULE_ALIASES);
+      }
+
+      const SNS_ALIASES = CREATED_ALIASES.filter((alias) => this.hasSnsEvents(alias.name, FUNCTIONS));
+      if (SNS_ALIASES.length > 0) {
+        await this.updateSnsSubscriptions(FUNCTIONS, SNS_ALIASES);
+      }
+
+      await this.watchAliasRollout(CREATED_ALIASES);
+      await this.removeRetiredProvisionedConcurrency(FUNCTIONS);
+      await this.pruneFunctionVersions(FUNCTIONS, this.config.retainVersions);
+
+      if (CREATED_ALIASES.length > 0) {
+        this.debugLog(
+          `${PLUGIN_NAME}: Successfully deployed aliases for ${CREATED_ALIASES.length} functions.`,
+          false,
+          'info',
+        );
+      }
+      if (EVENT_SOURCE_CHANGES.length > 0) {
+        this.debugLog(
+          `Event source mappings on the aliases:\n${EVENT_SOURCE_CHANGES.map((change) => `  ${change.targetFunctionName}: ${change.source} (${change.action})`).join('\n')}`,
+          true,
+          'info',
+        );
+      }
+    } catch (error) {
+      workflowError = error;
+      this.debugLog(`Error in alias deployment workflow: ${error.message}`, true, 'error');
+      this.debugLog(error?.stack, false, 'error');
+      throw new this.serverless.classes.Error(`Alias deployment failed: ${error.message}`);
+    } finally {
+      await this.writeDeploymentReport(workflowError);
+    }
+  }
+
+  hasHttpEvents(functionName, functions) {
+    const FUNCTION = functions.find((f) => f.name === functionName);
+    if (!FUNCTION) return false;
+    return FUNCTION.events.some((event) => event.http);
+  }
+
+  hasWebSocketEvents(functionName, functions) {
+    const FUNCTION = functions.find((f) => f.name === functionName);
+    if (!FUNCTION) return false;
+    return FUNCTION.events.some((event) => event.websocket);
+  }
+
+  hasHttpApiEvents(functionName, functions) {
+    const FUNCTION = functions.find((f) => f.name === functionName);
+    if (!FUNCTION) return false;
+    return FUNCTION.events.some((event) => event.httpApi);
+  }
+
+  hasEventSourceMappingEvents(functionName, functions) {
+    const FUNCTION = functions.find((f) => f.name === functionName);
+    if (!FUNCTION) return false;
+    return FUNCTION.events.some((event) => event.sqs || event.stream);
+  }
+
+  hasEventRuleEvents(functionName, functions) {
+    const FUNCTION = functions.find((f) => f.name === functionName);
+    if (!FUNCTION) return false;
+    return FUNCTION.events.some((event) => event.schedule || event.eventBridge || event.cloudwatchEvent);
+  }
+
+  hasSnsEvents(functionName, functions) {
+    const FUNCTION = functions.find((f) => f.name === functionName);
+    if (!FUNCTION) return false;
+    return FUNCTION.events.some((event) => event.sns);
+  }
+
+  hasAlbEvents(functionName, functions) {
+    const FUNCTION = functions.find((f) => f.name === functionName);
+    if (!FUNCTION) return false;
+    return FUNCTION.events.some((event) => event.alb);
+  }
+
+  async getAwsAccountId() {
+    if (this.config.accountId) return this.config.accountId;
+    try {
+      this.debugLog('Fetching AWS account ID...');
+      const IDENTITY = await this.awsRequest('STS', 'getCallerIdentity');
+      this.config.accountId = IDENTITY.Account;
+      this.debugLog(`AWS Account ID: ${this.config.accountId}`);
+      return this.config.accountId;
+    } catch (error) {
+      this.debugLog(`Error getting AWS account ID: ${error.message}`, true, 'error');
+      throw error;
+    }
+  }
+
+  /**
+   * Loads the physical IDs of the deployed stack resources and the stack outputs once,
+   * used to resolve intrinsics in environment variables. Exports are loaded on first use.
+   */
+  getStackContext() {
+    this.stackContext = this.stackContext || this.loadStackContext();
+    return this.stackContext;
+  }
+
+  async loadStackContext() {
+    const STACK_NAME = this.provider.naming.getStackName();
+    const CONTEXT = { resources: new Map(), outputs: new Map(), exports: null };
+
+    try {
+      const RESOURCES = await this.awsPaginate('CloudFormation', 'listStackResources', { StackName: STACK_NAME });
+      RESOURCES.forEach((resource) => CONTEXT.resources.set(resource.LogicalResourceId, resource.PhysicalResourceId));
+      const STACKS = await this.awsRequest('CloudFormation', 'describeStacks', { StackName: STACK_NAME });
+      (STACKS.Stacks?.[0]?.Outputs || []).forEach((output) => CONTEXT.outputs.set(output.OutputKey, output.OutputValue));
+    } catch (error) {
+      this.debugLog(`Could not load stack '${STACK_NAME}': ${error.message}`, false, 'warning');
+    }
+
+    return CONTEXT;
+  }
+
+  /**
+   * Returns the physical IDs of the deployed stack resources, used to leave resources CloudFormation owns alone.
+   * @returns {Promise<Set<string>>}
+   */
+  async getStackPhysicalIds() {
+    const CONTEXT = await this.getStackContext();
+    return new Set(CONTEXT.resources.values());
+  }
+
+  async getStackExports() {
+    const CONTEXT = await this.getStackContext();
+    CONTEXT.exports = CONTEXT.exports || this.awsPaginate('CloudFormation', 'listExports', {})
+      .then((exports) => new Map(exports.map((item) => [item.Name, item.Value])))
+      .catch((error) => {
+        this.debugLog(`Could not list CloudFormation exports: ${error.message}`, false, 'warning');
+        return new Map();
+      });
+    return CONTEXT.exports;
+  }
+
+  /**
+   * Resolves an environment variable value from serverless.yml to the string Lambda stores.
+   * Supports Ref, Fn::ImportValue, Fn::Join and Fn::Sub against the deployed stack; any other
+   * intrinsic (e.g. Fn::GetAtt) resolves only through a stack output with the same value.
+   * @returns {Promise<string|undefined>} undefined when the value cannot be resolved
+   */
+  async resolveIntrinsic(value) {
+    if (typeof value === 'string') return value;
+    if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return undefined;
+
+    const CONTEXT = await this.getStackContext();
+    const PSEUDO_PARAMETERS = {
+      'AWS::Region': this.config.region,
+      'AWS::AccountId': this.config.accountId,
+      'AWS::StackName': this.provider.naming.getStackName(),
+      'AWS::Partition': this.config.region.startsWith('cn-') ? 'aws-cn' : 'aws',
+      'AWS::URLSuffix': this.config.region.startsWith('cn-') ? 'amazonaws.com.cn' : 'amazonaws.com',
+    };
+    const RESOLVE_NAME = (name) => PSEUDO_PARAMETERS[name] ?? CONTEXT.resources.get(name);
+
+    // Outputs carry the deployed value of any expression, including Fn::GetAtt
+    const OUTPUTS = this.serverless.service.provider.compiledCloudFormationTemplate?.Outputs || {};
+    const OUTPUT_KEY = Object.keys(OUTPUTS).find((key) => JSON.stringify(OUTPUTS[key].Value) === JSON.stringify(value));
+    if (OUTPUT_KEY && CONTEXT.outputs.has(OUTPUT_KEY)) return CONTEXT.outputs.get(OUTPUT_KEY);
+
+    if (value.Ref !== undefined) return RESOLVE_NAME(value.Ref) ?? undefined;
+
+    if (value['Fn::ImportValue'] !== undefined) {
+      const NAME = await this.resolveIntrinsic(value['Fn::ImportValue']);
+      if (NAME === undefined) return undefined;
+      return (await this.getStackExports()).get(NAME);
+    }
+
+    if (value['Fn::Join'] !== undefined) {
+      const [DELIMITER, PARTS] = value['Fn::Join'];
+      if (!Array.isArray(PARTS)) return undefined;
+      const RESOLVED = [];
+      for (const PART of PARTS) {
+        const RESOLVED_PART = await this.resolveIntrinsic(PART);
+        if (RESOLVED_PART === undefined) return undefined;
+        RESOLVED.push(RESOLVED_PART);
+      }
+      return RESOLVED.join(DELIMITER);
+    }
+
+    if (value['Fn::Sub'] !== undefined) {
+      const [TEMPLATE, VARIABLES = {}] = Array.isArray(value['Fn::Sub']) ? value['Fn::Sub'] : [value['Fn::Sub']];
+      if (typeof TEMPLATE !== 'string') return undefined;
+      const RESOLVED_VARIABLES = {};
+      for (const [NAME, VARIABLE] of Object.entries(VARIABLES)) {
+        RESOLVED_VARIABLES[NAME] = await this.resolveIntrinsic(VARIABLE);
+      }
+      let unresolved = false;
+      const RESULT = TEMPLATE.replace(/\$\{([^}]+)\}/g, (match, name) => {
+        if (name.startsWith('!')) return `\${${name.slice(1)}}`;
+        const RESOLVED = name in RESOLVED_VARIABLES ? RESOLVED_VARIABLES[name] : RESOLVE_NAME(name);
+        if (RESOLVED === undefined) unresolved = true;
+        return RESOLVED;
+      });
+      return unresolved ? undefined : RESULT;
+    }
+
+    return undefined;
+  }
+
+  /**
+   * Replaces CloudFormation intrinsics in the environment of each function with the values
+   * they resolve to. Values that cannot be resolved are taken from the deployed $LATEST, which
+   * CloudFormation has already resolved during the deployment. Values found in neither fail the command.
+   */
+  async resolveFunctionEnvironments(functions) {
+    const MISSING = [];
+    this.throwFirstRejection(await this.mapWithConcurrency(functions, async (FUNCTION) => {
+      const RESOLVED = {};
+      const UNRESOLVED = [];
+      for (const [KEY, VALUE] of Object.entries(FUNCTION.environment)) {
+        const RESOLVED_VALUE = await this.resolveIntrinsic(VALUE);
+        if (RESOLVED_VALUE === undefined) UNRESOLVED.push(KEY);
+        else RESOLVED[KEY] = RESOLVED_VALUE;
+      }
+
+      if (UNRESOLVED.length > 0) {
+        let deployed = {};
+        try {
+          const LATEST_CONFIG = await this.awsRequest('Lambda', 'getFunctionConfiguration', { FunctionName: FUNCTION.functionName });
+          deployed = LATEST_CONFIG.Environment?.Variables || {};
+        } catch (error) {
+          this.debugLog(`Could not read the deployed environment of ${FUNCTION.functionName}: ${error.message}`, false, 'warning');
+        }
+        UNRESOLVED.forEach((key) => {
+          if (key in deployed) {
+            RESOLVED[key] = deployed[key];
+            this.debugLog(`Environment variable ${key} of ${FUNCTION.functionName} taken from the deployed $LATEST.`);
+          } else {
+            MISSING.push(`${FUNCTION.functionName}: ${key}`);
+          }
+        });
+      }
+
+      FUNCTION.environment = RESOLVED;
+    }));
+
+    // Publishing without them would create a version that differs from what serverless.yml describes
+    if (MISSING.length > 0) {
+      throw new this.serverless.classes.Error(
+        `Environment variables could not be resolved and are not deployed:\n${MISSING.map((entry) => `  ${entry}`).join('\n')}`,
+      );
+    }
+  }
+
+  getFunctionsForAliasDeployment() {
+    const SERVICES = this.serverless.service;
+    const FUNCTIONS = [];
+
+    Object.entries(SERVICES.functions || {}).forEach(([funcName, funcDef]) => {
+      if (this.config.excludedFunctions.has(funcName) || funcDef.alias?.exclude) {
+        this.debugLog(`Skipping excluded function: ${funcName}`);
+        return;
+      }
+      // functions.<name>.alias.events limits the events rewired onto the alias to the listed types
+      const EVENT_TYPES = funcDef.alias?.events;
+      const EVENTS = (funcDef.events || [])
+        .filter((event) => !EVENT_TYPES || EVENT_TYPES.some((type) => event[type]));
+      const PROVIDER_ENV = SERVICES.provider.environment || {};
+      const FUNCTION_ENV = funcDef.environment || {};
+      const MERGED_ENV = { ...PROVIDER_ENV, ...FUNCTION_ENV };
+
+      FUNCTIONS.push({
+        name: funcName, // logical name
+        functionName: funcDef.name || this.provider.naming.getLambdaLogicalId(funcName),
+        handler: funcDef.handler,
+        environment: MERGED_ENV,
+        events: EVENTS,
+        description: funcDef.description || '',
+        aliasName: funcDef.alias?.name || this.config.alias,
+        aliasConfig: funcDef.alias || {},
+      });
+    });
+
+    return FUNCTIONS;
+  }
+
+  async createOrUpdateFunctionAliases(functions) {
+    this.debugLog('Creating or updating Lambda function aliases...');
+    const CREATED_ALIASES = [];
+    const FAILED_FUNCTIONS = [];
+    const SHIFTING_ALIASES = [];
+
+    // Each function reports its outcome, which is collected in function order below
+    const OUTCOMES = await this.mapWithConcurrency(functions, async (FUNCTION) => {
+      const OUTCOME = { alias: null, shifting: false, failed: false, report: null, error: null };
+      try {
+        let version;
+        const VERSION_PLAN = await this.getAliasVersionPlan(FUNCTION);
+        const EXISTING_ALIAS = VERSION_PLAN.existingAlias;
+        OUTCOME.report = {
+          name: FUNCTION.name,
+          functionName: FUNCTION.functionName,
+          previousVersion: EXISTING_ALIAS ? EXISTING_ALIAS.FunctionVersion : null,
+          newVersion: EXISTING_ALIAS ? EXISTING_ALIAS.FunctionVersion : null,
+          aliasArn: EXISTING_ALIAS ? EXISTING_ALIAS.AliasArn : null,
+          published: VERSION_PLAN.action === 'publish',
+          action: VERSION_PLAN.action,
+          reasons: VERSION_PLAN.reasons,
+          additionalAliases: [],
+        };
+
+        if (VERSION_PLAN.action === 'skip') {
+          this.debugLog(
+            `No changes detected for existing function alias: ${FUNCTION.functionName}:${FUNCTION.aliasName}. Skipping.`,
+          );
+          // The alias settings may still have changed or drifted
+          await this.applyAsyncConfig(FUNCTION);
+          await this.applyFunctionUrl(FUNCTION);
+          if (await this.applyProvisionedConcurrency(FUNCTION, EXISTING_ALIAS.FunctionVersion)) {
+            await this.waitForProvisionedConcurrency(FUNCTION);
+          }
+          OUTCOME.report.additionalAliases = await this.updateAdditionalAliases(FUNCTION.functionName, EXISTING_ALIAS.FunctionVersion, null);
+          return OUTCOME;
+        } else if (VERSION_PLAN.action === 'publish') {
+          this.debugLog(
+            `Changes detected for function: ${FUNCTION.functionName} (${VERSION_PLAN.reasons.join(', ')}). Publishing new version...`,
+          );
+          version = await this.publishNewFunctionVersion(FUNCTION);
+        } else {
+          this.debugLog(
+            `Using latest version ${VERSION_PLAN.version} for function: ${FUNCTION.functionName} (${VERSION_PLAN.reasons.join(', ')})`,
+          );
+          version = VERSION_PLAN.version;
+        }
+
+        if (!version) {
+          this.debugLog(`Could not determine version for function: ${FUNCTION.functionName}`, true, 'error');
+          OUTCOME.failed = true;
+          OUTCOME.error = 'Could not determine version';
+          return OUTCOME;
+        }
+        OUTCOME.report.newVersion = version;
+
+        const PREVIOUS_VERSION = EXISTING_ALIAS ? EXISTING_ALIAS.FunctionVersion : null;
+
+        // Shift traffic gradually only when moving an existing alias between two published versions
+        const SHIFT_TRAFFIC = this.config.trafficShifting.length > 0
+          && PREVIOUS_VERSION
+          && PREVIOUS_VERSION !== version
+          && PREVIOUS_VERSION !== '$LATEST'
+          && version !== '$LATEST';
+
+        const ALIAS = SHIFT_TRAFFIC
+          ? await this.createOrUpdateAlias(FUNCTION.functionName, PREVIOUS_VERSION, {
+            [version]: this.config.trafficShifting[0].percentage / 100,
+          }, FUNCTION.aliasName)
+          : await this.createOrUpdateAlias(FUNCTION.functionName, version, {}, FUNCTION.aliasName);
+        if (ALIAS) {
+          OUTCOME.alias = {
+            functionName: FUNCTION.functionName, // physical name
+            name: FUNCTION.name,                // logical name
+            aliasName: FUNCTION.aliasName,
+            aliasArn: ALIAS.AliasArn,
+            version: version,
+            previousVersion: PREVIOUS_VERSION,
+            events: FUNCTION.events,
+          };
+          OUTCOME.shifting = SHIFT_TRAFFIC;
+          OUTCOME.report.aliasArn = ALIAS.AliasArn;
+          this.debugLog(
+            `Created/updated alias '${FUNCTION.aliasName}' for function '${FUNCTION.functionName}' pointing to version ${version}`,
+            false,
+            'success',
+          );
+          await this.applyAsyncConfig(FUNCTION);
+          await this.applyFunctionUrl(FUNCTION);
+          // Lambda reallocates the alias's provisioned concurrency to the new version; API stages and traffic only move once it is ready
+          if (await this.applyProvisionedConcurrency(FUNCTION, version)) {
+            await this.waitForProvisionedConcurrency(FUNCTION);
+          }
+          OUTCOME.report.additionalAliases = await this.updateAdditionalAliases(FUNCTION.functionName, version, PREVIOUS_VERSION);
+          // Reverted along with the routed alias by rollbackAliases
+          OUTCOME.alias.additionalAliases = OUTCOME.report.additionalAliases;
+        }
+      } catch (error) {
+        this.debugLog(
+          `Error creating/updating alias for function '${FUNCTION.functionName}': ${error.message}`,
+          true,
+          'error',
+        );
+        OUTCOME.failed = true;
+        OUTCOME.error = error.message;
+      }
+      return OUTCOME;
+    });
+
+    OUTCOMES.forEach(({ value: OUTCOME }, index) => {
+      if (OUTCOME.report) this.recordReport('functions', OUTCOME.report);
+      if (OUTCOME.failed) {
+        FAILED_FUNCTIONS.push(functions[index].functionName);
+        this.recordReport('failures', { functionName: functions[index].functionName, error: OUTCOME.error });
+      }
+      if (!OUTCOME.alias) return;
+      CREATED_ALIASES.push(OUTCOME.alias);
+      if (OUTCOME.shifting) SHIFTING_ALIASES.push(OUTCOME.alias);
+    });
+
+    if (FAILED_FUNCTIONS.length > 0) {
+      this.debugLog(
+        `WARNING: Failed to process aliases for ${FAILED_FUNCTIONS.length} functions: ${FAILED_FUNCTIONS.join(', ')}`,
+        true,
+        'warning',
+      );
+    }
+
+    // Recorded before traffic shifting, so an automatic rollback follows the deploy it reverts in the history
+    if (CREATED_ALIASES.length > 0) {
+      await this.recordDeploymentHistory('deploy', CREATED_ALIASES);
+    }
+
+    if (SHIFTING_ALIASES.length > 0) {
+      await this.shiftAliasTraffic(SHIFTING_ALIASES, CREATED_ALIASES);
+    }
+
+    return CREATED_ALIASES;
+  }
+
+  /**
+   * Returns the alias of each function: the one this deployment created or moved, or else the existing one.
+   * Functions without an alias are left out.
+   * @param {Array<Object>} functions
+   * @param {Array<Object>} createdAliases - Aliases returned by createOrUpdateFunctionAliases
+   */
+  async getDeployedAliases(functions, createdAliases) {
+    const RESULTS = await this.mapWithConcurrency(functions, async (FUNCTION) => {
+      const CREATED_ALIAS = createdAliases.find((alias) => alias.name === FUNCTION.name);
+      if (CREATED_ALIAS) return CREATED_ALIAS;
+
+      const EXISTING_ALIAS = await this.getExistingAlias(FUNCTION.functionName, FUNCTION.aliasName);
+      if (!EXISTING_ALIAS) return null;
+      return {
+        functionName: FUNCTION.functionName,
+        name: FUNCTION.name,
+        aliasName: FUNCTION.aliasName,
+        aliasArn: EXISTING_ALIAS.AliasArn,
+        version: EXISTING_ALIAS.FunctionVersion,
+        previousVersion: EXISTING_ALIAS.FunctionVersion,
+        events: FUNCTION.events,
+      };
+    });
+    this.throwFirstRejection(RESULTS);
+    return RESULTS.map((result) => result.value).filter(Boolean);
+  }
+
+  /**
+   * Decides which version the alias of a function should point to, without changing anything.
+   * - publish: a new version must be published (reasons lists what changed)
+   * - use-latest: the alias moves to the latest published version
+   * - skip: the alias is up to date
+   * @returns {Promise<{existingAlias: Object|null, latestVersion: string|null, action: string, version: string|null, reasons: string[]}>}
+   */
+  async getAliasVersionPlan(functionData) {
+    const EXISTING_ALIAS = await this.getExistingAlias(functionData.functionName, functionData.aliasName);
+    const LATEST_VERSION = await this.getLatestFunctionVersion(functionData.functionName);
+    const PLAN = { existingAlias: EXISTING_ALIAS, latestVersion: LATEST_VERSION, version: null };
+
+    if (functionData.aliasConfig.forcePublish) {
+      return { ...PLAN, action: 'publish', reasons: ['alias.forcePublish'] };
+    }
+    if (IS_FORCE && LATEST_VERSION) {
+      return { ...PLAN, action: 'use-latest', version: LATEST_VERSION, reasons: ['--force flag'] };
+    }
+    if (!LATEST_VERSION) {
+      return { ...PLAN, action: 'publish', reasons: ['no existing versions'] };
+    }
+
+    const COMPARE_VERSION = EXISTING_ALIAS ? EXISTING_ALIAS.FunctionVersion : LATEST_VERSION;
+    const CHANGES = await this.getFunctionChanges(functionData, COMPARE_VERSION);
+    if (CHANGES.length > 0) {
+      return { ...PLAN, action: 'publish', reasons: CHANGES };
+    }
+    if (!EXISTING_ALIAS) {
+      return { ...PLAN, action: 'use-latest', version: LATEST_VERSION, reasons: ['new alias, no changes since the latest version'] };
+    }
+    return { ...PLAN, action: 'skip', reasons: ['no changes'] };
+  }
+
+  async getExistingAlias(functionName, aliasName = this.config.alias) {
+    try {
+      const ALIAS = await this.awsRequest('Lambda', 'getAlias', { FunctionName: functionName, Name: aliasName });
+      return ALIAS;
+    } catch (error) {
+      if (error.code === 'ResourceNotFoundException') return null;
+      throw error;
+    }
+  }
+
+  async haveFunctionChanges(functionData, specificVersion) {
+    const CHANGES = await this.getFunctionChanges(functionData, specificVersion);
+    return CHANGES.length > 0;
+  }
+
+  /**
+   * Normalizes the configuration of a function version: the fields that define what a version runs,
+   * with defaults filled in and lists sorted, so equal configurations compare and hash equal.
+   */
+  normalizeFunctionConfiguration(config) {
+    const SORTED_OBJECT = (object = {}) => Object.fromEntries(Object.keys(object).sort().map((key) => [key, object[key]]));
+    return {
+      CodeSha256: config.CodeSha256 || null,
+      PackageType: config.PackageType || 'Zip',
+      Handler: config.Handler || null,
+      Runtime: config.Runtime || null,
+      MemorySize: config.MemorySize || null,
+      Timeout: config.Timeout || null,
+      Role: config.Role || null,
+      Environment: SORTED_OBJECT(config.Environment?.Variables),
+      Layers: (config.Layers || []).map((layer) => layer.Arn).sort(),
+      VpcConfig: {
+        SubnetIds: [...(config.VpcConfig?.SubnetIds || [])].sort(),
+        SecurityGroupIds: [...(config.VpcConfig?.SecurityGroupIds || [])].sort(),
+        Ipv6AllowedForDualStack: !!config.VpcConfig?.Ipv6AllowedForDualStack,
+      },
+      Architectures: [...(config.Architectures || ['x86_64'])].sort(),
+      EphemeralStorage: config.EphemeralStorage?.Size || 512,
+      TracingConfig: config.TracingConfig?.Mode || 'PassThrough',
+      DeadLetterConfig: config.DeadLetterConfig?.TargetArn || null,
+      SnapStart: config.SnapStart?.ApplyOn || 'None',
+      LoggingConfig: SORTED_OBJECT(config.LoggingConfig),
+      ImageConfig: SORTED_OBJECT(config.ImageConfigResponse?.ImageConfig),
+      FileSystemConfigs: (config.FileSystemConfigs || []).map((fileSystem) => `${fileSystem.Arn}=${fileSystem.LocalMountPath}`).sort(),
+      KMSKeyArn: config.KMSKeyArn || null,
+    };
+  }
+
+  getConfigurationFingerprint(config) {
+    const NORMALIZED = this.normalizeFunctionConfiguration(config);
+    return crypto.createHash('sha256').update(JSON.stringify(NORMALIZED)).digest('hex').slice(0, 32);
+  }
+
+  /**
+   * Appends the configuration fingerprint to a version description, within the 256 character limit.
+   */
+  buildVersionDescription(description, fingerprint) {
+    const SUFFIX = `[fingerprint:${fingerprint}]`;
+    const TEXT = (description || '').slice(0, 256 - SUFFIX.length - 1);
+    return TEXT ? `${TEXT} ${SUFFIX}` : SUFFIX;
+  }
+
+  parseVersionFingerprint(description) {
+    const MATCH = /\[fingerprint:([0-9a-f]+)\]$/.exec(description || '');
+    return MATCH ? MATCH[1] : null;
+  }
+
+  /**
+   * Lists what differs between $LATEST and a published version. The fingerprint stored on the version
+   * settles the common "no changes" case; otherwise the normalized configurations are compared field by field.
+   */
+  async getFunctionChanges(functionData, specificVersion) {
+    try {
+      const LATEST_CONFIG = await this.awsRequest('Lambda', 'getFunctionConfiguration', { FunctionName: functionData.functionName });
+      let versionConfig;
+      try {
+        versionConfig = await this.awsRequest('Lambda', 'getFunctionConfiguration', {
+          FunctionName: functionData.functionName,
+          Qualifier: specificVersion,
+        });
+      } catch (error) {
+        if (error.code === 'ResourceNotFoundException') return [`version ${specificVersion} not found`];
+        throw error;
+      }
+
+      const CHANGES = [];
+      const VERSION_FINGERPRINT = this.parseVersionFingerprint(versionConfig.Description);
+      if (VERSION_FINGERPRINT !== this.getConfigurationFingerprint(LATEST_CONFIG)) {
+        const LATEST = this.normalizeFunctionConfiguration(LATEST_CONFIG);
+        const CURRENT = this.normalizeFunctionConfiguration(versionConfig);
+        CHANGES.push(...Object.keys(LATEST).filter((field) => JSON.stringify(LATEST[field]) !== JSON.stringify(CURRENT[field])));
+        // Versions without a fingerprint were published before fingerprinting and only differ when a field does
+        if (CHANGES.length === 0 && VERSION_FINGERPRINT) CHANGES.push('configuration fingerprint');
+      }
+
+      const CURRENT_ENV = versionConfig.Environment?.Variables || {};
+      const CONFIG_ENV = functionData.environment || {};
+      const CURRENT_KEYS = Object.keys(CURRENT_ENV).sort();
+      const CONFIG_KEYS = Object.keys(CONFIG_ENV).sort();
+      if (JSON.stringify(CURRENT_KEYS) !== JSON.stringify(CONFIG_KEYS)
+        || CURRENT_KEYS.some((key) => CURRENT_ENV[key] !== CONFIG_ENV[key])) {
+        CHANGES.push('Environment (serverless.yml)');
+      }
+
+      return CHANGES;
+    } catch (error) {
+      this.debugLog(
+        `Error checking function changes for '${functionData.functionName}': ${error.message}`,
+        true,
+        'error',
+      );
+      return [`unable to compare (${error.message})`];
+    }
+  }
+
+
+  async publishNewFunctionVersion(functionData) {
+    try {
+      this.debugLog(`Publishing new version for function: ${functionData.functionName}`);
+
+      await this.awsRequest('Lambda', 'updateFunctionConfiguration', {
+        FunctionName: functionData.functionName,
+        Environment: { Variables: functionData.environment },
+      });
+
+      await this.waitForFunctionUpdateToComplete(functionData.functionName);
+
+      // The published version is a snapshot of $LATEST, so its fingerprint is the one of $LATEST now
+      const LATEST_CONFIG = await this.awsRequest('Lambda', 'getFunctionConfiguration', { FunctionName: functionData.functionName });
+      const FINGERPRINT = this.getConfigurationFingerprint(LATEST_CONFIG);
+      const TEMPLATE_VALUES = await this.getTemplateValues(functionData, { description: functionData.description });
+
+      const RESULT = await this.awsRequest('Lambda', 'publishVersion', {
+        FunctionName: functionData.functionName,
+        Description: this.buildVersionDescription(this.renderMetadataTemplate(this.config.versionDescription, TEMPLATE_VALUES), FINGERPRINT),
+        CodeSha256: LATEST_CONFIG.CodeSha256,
+      });
+      await this.applyVersionTags(functionData.functionName, { ...TEMPLATE_VALUES, version: RESULT.Version });
+
+      this.debugLog(`Published new version ${RESULT.Version} for function: ${functionData.functionName}`, false, 'success');
+      return RESULT.Version;
+    } catch (error) {
+      this.debugLog(`Error publishing new version for function '${functionData.functionName}': ${error.message}`, true, 'error');
+      throw error;
+    }
+  }
+
+  async waitForFunctionUpdateToComplete(functionName) {
+    this.debugLog(`Waiting for function update to complete: ${functionName}`);
+    let retries = 0;
+    const MAX_RETRIES = 30;
+
+    while (retries < MAX_RETRIES) {
+      try {
+        const CONFIG = await this.awsRequest('Lambda', 'getFunctionConfiguration', { FunctionName: functionName });
+        if (CONFIG.LastUpdateStatus === 'Successful') return;
+        if (CONFIG.LastUpdateStatus === 'Failed') {
+          throw new Error(`Function update failed: ${CONFIG.LastUpdateStatusReason || 'Unknown reason'}`);
+        }
+        await new Promise((r) => setTimeout(r, 1000));
+        retries++;
+      } catch (error) {
+        if (error.code === 'ResourceNotFoundException') throw error;
+        await new Promise((r) => setTimeout(r, 1000));
+        retries++;
+      }
+    }
+    throw new Error(`Function update timed out after ${MAX_RETRIES} retries: ${functionName}`);
+  }
+
+  async getLatestFunctionVersion(functionName) {
+    try {
+      this.debugLog(`Getting latest version for function: ${functionName}`);
+
+      try {
+        await this.awsRequest('Lambda', 'getFunction', { FunctionName: functionName });
+      } catch (funcError) {
+        if (funcError.code === 'ResourceNotFoundException') {
+          this.debugLog(`Function '${functionName}' not found`, true, 'warning');
+          return null;
+        }
+        throw funcError;
+      }
+
+      try {
+        const ALL_VERSIONS = await this.listAllFunctionVersions(functionName);
+        const VERSIONS = ALL_VERSIONS.filter((v) => v.Version !== '$LATEST')
+          .sort((a, b) => parseInt(b.Version) - parseInt(a.Version));
+        if (VERSIONS.length > 0) return VERSIONS[0].Version;
+        this.debugLog(`No numbered versions found for function: ${functionName}, falling back to $LATEST`, false, 'warning');
+        return '$LATEST';
+      } catch (error) {
+        this.debugLog(`Error listing versions for '${functionName}': ${error.message}, falling back to $LATEST`, false, 'warning');
+        return '$LATEST';
+      }
+    } catch (error) {
+      this.debugLog(`Error getting latest version for function '${functionName}': ${error.message}`, true, 'error');
+      throw error;
+    }
+  }
+
+  /**
+   * Returns the version an additional alias should point to, or null to leave it as it is.
+   * @param {{name: string, version: string}} spec - See normalizeAliasSpec
+   * @param {string} version - Version the routed alias moves to
+   * @param {string|null} previousVersion - Version the routed alias pointed to before (null when it did not move)
+   */
+  getAdditionalAliasVersion(spec, version, previousVersion) {
+    if (spec.version === 'new') return version;
+    if (spec.version === 'previous') {
+      return previousVersion && previousVersion !== version && previousVersion !== '$LATEST' ? previousVersion : null;
+    }
+    return spec.version;
+  }
+
+  /**
+   * Points the additional aliases (custom.alias.aliases) of a function at their versions. They use the
+   * version decision of the routed alias; API integrations, permissions and stages only follow the routed alias.
+   * @returns {Promise<Array<{name: string, previousVersion: string|null, version: string}>>} The aliases that changed
+   */
+  async updateAdditionalAliases(functionName, version, previousVersion) {
+    const CHANGED = [];
+    for (const SPEC of this.config.additionalAliases) {
+      const TARGET_VERSION = this.getAdditionalAliasVersion(SPEC, version, previousVersion);
+      if (!TARGET_VERSION) continue;
+
+      const EXISTING_ALIAS = await this.getExistingAlias(functionName, SPEC.name);
+      if (EXISTING_ALIAS && EXISTING_ALIAS.FunctionVersion === TARGET_VERSION) continue;
+
+      await this.createOrUpdateAlias(functionName, TARGET_VERSION, {}, SPEC.name);
+      CHANGED.push({ name: SPEC.name, previousVersion: EXISTING_ALIAS ? EXISTING_ALIAS.FunctionVersion : null, version: TARGET_VERSION });
+      this.debugLog(
+        `Moved alias '${SPEC.name}' (${SPEC.version}) of function '${functionName}' to version ${TARGET_VERSION}`,
+        false,
+        'success',
+      );
+    }
+    return CHANGED;
+  }
+
+  /**
+   * Creates or updates the alias of a function.
+   * @param {string} functionName - Physical function name
+   * @param {string} version - Primary version of the alias
+   * @param {Object<string, number>} [additionalVersionWeights] - Routing weights (0-1) for other versions
+   * @param {string} [aliasName] - Alias to create or update (defaults to the configured alias)
+   */
+  async createOrUpdateAlias(functionName, version, additionalVersionWeights = {}, aliasName = this.config.alias) {
+    try {
+      if (!functionName) throw new Error('Function name is required');
+      if (!version) throw new Error('Function version is required');
+
+      if (version === '$LATEST') {
+        this.debugLog(`Using $LATEST version for function '${functionName}' since no published versions found`, false, 'warning');
+      }
+      const DESCRIPTION = this.renderMetadataTemplate(
+        this.config.aliasDescription,
+        await this.getTemplateValues({ functionName, aliasName }, { version }),
+      ).slice(0, 256);
+
+      try {
+        this.debugLog(`Checking if alias '${aliasName}' exists for function '${functionName}'`);
+        const EXISTING_ALIAS = await this.awsRequest('Lambda', 'getAlias', { FunctionName: functionName, Name: aliasName });
+        const EXISTING_WEIGHTS = EXISTING_ALIAS.RoutingConfig?.AdditionalVersionWeights || {};
+        if (EXISTING_ALIAS.FunctionVersion !== version || !this.isSameRoutingWeights(EXISTING_WEIGHTS, additionalVersionWeights)) {
+          this.debugLog(
+            `Updating alias '${aliasName}' for function '${functionName}' from version ${EXISTING_ALIAS.FunctionVersion} to ${version}${this.formatRoutingWeights(additionalVersionWeights)}`,
+          );
+          return await this.awsRequest('Lambda', 'updateAlias', {
+            FunctionName: functionName,
+            Name: aliasName,
+            FunctionVersion: version,
+            Description: DESCRIPTION,
+            RoutingConfig: { AdditionalVersionWeights: additionalVersionWeights },
+          });
+        }
+        this.debugLog(
+          `Alias '${aliasName}' for function '${functionName}' already points to version ${version}. No update needed.`,
+          false,
+          'success',
+        );
+        return EXISTING_ALIAS;
+      } catch (error) {
+        if (error.code === 'ResourceNotFoundException') {
+          this.debugLog(`Creating new alias '${aliasName}' for function '${functionName}' pointing to version ${version}`);
+          return await this.awsRequest('Lambda', 'createAlias', {
+            FunctionName: functionName,
+            Name: aliasName,
+            FunctionVersion: version,
+            Description: DESCRIPTION,
+            ...(Object.keys(additionalVersionWeights).length > 0
+              ? { RoutingConfig: { AdditionalVersionWeights: additionalVersionWeights } }
+              : {}),
+          });
+        }
+        throw error;
+      }
+    } catch (error) {
+      this.debugLog(`Error managing alias for function '${functionName}': ${error.message}`, true, 'error');
+      throw error;
+    }
+  }
+
+  isSameRoutingWeights(currentWeights, expectedWeights) {
+    const CURRENT_KEYS = Object.keys(currentWeights).sort();
+    const EXPECTED_KEYS = Object.keys(expectedWeights).sort();
+    if (JSON.stringify(CURRENT_KEYS) !== JSON.stringify(EXPECTED_KEYS)) return false;
+    return CURRENT_KEYS.every((key) => Math.abs(currentWeights[key] - expectedWeights[key]) < 0.00001);
+  }
+
+  formatRoutingWeights(weights) {
+    const ENTRIES = Object.entries(weights);
+    if (ENTRIES.length === 0) return '';
+    return ` (routing ${ENTRIES.map(([version, weight]) => `${Math.round(weight * 100)}% to version ${version}`).join(', ')})`;
+  }
+
+  // ---- API Gateway (REST) ----
+
+  async updateApiGatewayIntegrations(functions, httpAliases) {
+    if (!this.config.restApiId || httpAliases.length === 0) {
+      this.debugLog('Skipping API Gateway integration updates (no REST API ID or no HTTP aliases created)', false, 'warning');
+      return;
+    }
+
+    this.debugLog(`Updating HTTP API Gateway integrations for ${httpAliases.length} functions...`);
+
+    try {
+      const RESOURCES = await this.getApiGatewayResources();
+      // Functions run concurrently, the events of one function in sequence to avoid conflicting policy updates
+      this.throwFirstRejection(await this.mapWithConcurrency(httpAliases, async (ALIAS) => {
+        const HTTP_EVENTS = this.getHttpEventsForFunction(ALIAS.name, functions);
+        if (HTTP_EVENTS.length === 0) {
+          this.debugLog(`No HTTP events found for function '${ALIAS.name}'. Skipping API Gateway integration.`);
+          return;
+        }
+        for (const EVENT of HTTP_EVENTS) {
+          await this.updateApiGatewayIntegration(RESOURCES, ALIAS, EVENT);
+        }
+      }));
+
+      if (this.config.skipApiGateway) {
+        this.debugLog('HTTP API Gateway integrations updated, deployment skipped as configured.', false, 'success');
+      } else {
+        await this.deployApiGateway();
+        this.debugLog('HTTP API Gateway deployed and integrations updated successfully.', false, 'success');
+      }
+    } catch (error) {
+      this.debugLog(`Error updating HTTP API Gateway integrations: ${error.message}`, true, 'error');
+      throw error;
+    }
+  }
+
+  getHttpEventsForFunction(functionName, functions) {
+    const FUNCTION = functions.find((f) => f.name === functionName);
+    if (!FUNCTION) return [];
+    return FUNCTION.events
+      .filter((event) => event.http)
+      .map((event) => ({
+        path: event.http.path,
+        method: event.http.method.toUpperCase(),
+        cors: event.http.cors || false,
+        methodSettings: event.http.methodSettings || {},
+      }));
+  }
+
+  async getApiGatewayResources() {
+    try {
+      this.debugLog(`Getting API Gateway resources for REST API ID: ${this.config.restApiId}`);
+      const RESOURCES = await this.awsPaginate('APIGateway', 'getResources', { restApiId: this.config.restApiId, limit: 500 });
+      this.debugLog(`Found ${RESOURCES.length} API Gateway resources.`);
+      return RESOURCES;
+    } catch (error) {
+      this.debugLog(`Error getting API Gateway resources: ${error.message}`, true, 'error');
+      throw error;
+    }
+  }
+
+  findResourceByPath(resources, path) {
+    const NORMALIZED_PATH = path.startsWith('/') ? path : `/${path}`;
+    if (this.config.apiGatewayResourceCache.has(NORMALIZED_PATH)) {
+      return this.config.apiGatewayResourceCache.get(NORMALIZED_PATH);
+    }
+    const RESOURCE = resources.find((resource) => resource.path === NORMALIZED_PATH);
+    if (RESOURCE) this.config.apiGatewayResourceCache.set(NORMALIZED_PATH, RESOURCE);
+    return RESOURCE;
+  }
+
+  async updateApiGatewayIntegration(resources, alias, httpEvent) {
+    try {
+      const RESOURCE = this.findResourceByPath(resources, httpEvent.path);
+      if (!RESOURCE) {
+        this.debugLog(`Resource not found for path '${httpEvent.path}'. Skipping integration update.`, false, 'warning');
+        return;
+      }
+
+      this.debugLog(`Updating integration for path: ${httpEvent.path}, method: ${httpEvent.method}`);
+
+      // Fetch current integration (for logging and the deployment report)
+      let previousUri = null;
+      try {
+        const INTEGRATION = await this.awsRequest('APIGateway', 'getIntegration', {
+          restApiId: this.config.restApiId,
+          resourceId: RESOURCE.id,
+          httpMethod: httpEvent.method,
+        });
+        if (INTEGRATION) {
+          previousUri = INTEGRATION.uri || null;
+          this.debugLog(`Current integration: ${JSON.stringify(INTEGRATION, null, 2)}`, false, 'info');
+        }
+      } catch (e) {
+        this.debugLog(`No existing integration found for path: ${httpEvent.path}, method: ${httpEvent.method}`, false, 'warning');
+      }
+
+      // Build the integration URI with either global or per-function stage variable
+      const { stageVarExpr, uri: URI } = this.buildLambdaIntegrationUri(alias);
+
+      await this.awsRequest('APIGateway', 'updateIntegration', {
+        restApiId: this.config.restApiId,
+        resourceId: RESOURCE.id,
+        httpMethod: httpEvent.method,
+        patchOperations: [{ op: 'replace', path: '/uri', value: URI }],
+      });
+      this.recordReport('integrations', {
+        type: 'rest',
+        functionName: alias.functionName,
+        target: `${httpEvent.method.toUpperCase()} ${httpEvent.path}`,
+        previousUri,
+        uri: URI,
+      });
+
+      await this.addLambdaPermission(alias, RESOURCE.id, httpEvent.method, httpEvent.path);
+
+      this.debugLog(
+        `Successfully updated integration for path: ${httpEvent.path}, method: ${httpEvent.method} to use stage var ${stageVarExpr}`,
+        false,
+        'success',
+      );
+    } catch (error) {
+      this.debugLog(
+        `Error updating API Gateway integration for path '${httpEvent.path}', method '${httpEvent.method}': ${error.message}`,
+        true,
+        'error',
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * Builds the Lambda ARN of a function qualified with the stage variable expression of its alias.
+   */
+  buildStageVarLambdaArn(alias) {
+    const stageVarExpr = this.getStageVarExprForFunction(alias.name);
+    return `arn:aws:lambda:${this.config.region}:${this.config.accountId}:function:${alias.functionName}:${stageVarExpr}`;
+  }
+
+  /**
+   * Builds the API Gateway integration URI of a function, resolving the alias through a stage variable.
+   * @returns {{stageVarExpr: string, uri: string}}
+   */
+  buildLambdaIntegrationUri(alias) {
+    const stageVarExpr = this.getStageVarExprForFunction(alias.name);
+    const LAMBDA_ARN = this.buildStageVarLambdaArn(alias);
+    const URI = `arn:aws:apigateway:${this.config.region}:lambda:path/2015-03-31/functions/${LAMBDA_ARN}/invocations`;
+    return { stageVarExpr, uri: URI };
+  }
+
+  /**
+   * Returns the permission statements that let a REST API method invoke the function.
+   * @returns {{functionName: string, statements: Array<{StatementId: string, SourceArn: string}>}}
+   */
+  getApiGatewayPermissions(alias, resourceId, method, path) {
+    // If per-function stage variables are enabled, we grant permission on the UNQUALIFIED function.
+    // This allows API Gateway to invoke any alias resolved by the stage variable.
+    const QUALIFIED_FUNCTION_NAME = this.config.perFunctionStageVars
+      ? alias.functionName
+      : `${alias.functionName}:${alias.aliasName}`;
+
+    const STAGE_STATEMENT_ID =
+      `apigateway-${this.config.restApiId}-${alias.aliasName}-${method}-${resourceId}`.replace(/[^a-zA-Z0-9-_]/g, '-');
+    const TEST_STATEMENT_ID =
+      `apigateway-test-${this.config.restApiId}-${alias.aliasName}-${method}-${resourceId}`.replace(/[^a-zA-Z0-9-_]/g, '-');
+
+    const NORMALIZED_PATH = path.startsWith('/') ? path : `/${path}`;
+    const API_ARN = `arn:aws:execute-api:${this.config.region}:${this.config.accountId}:${this.config.restApiId}`;
+
+    return {
+      functionName: QUALIFIED_FUNCTION_NAME,
+      statements: [
+        { StatementId: STAGE_STATEMENT_ID, SourceArn: `${API_ARN}/*/${method}${NORMALIZED_PATH}` },
+        { StatementId: TEST_STATEMENT_ID, SourceArn: `${API_ARN}/test-invoke-stage/${method}${NORMALIZED_PATH}` },
+      ],
+    };
+  }
+
+  async addLambdaPermission(alias, resourceId, method, path) {
+    try {
+      const { functionName: QUALIFIED_FUNCTION_NAME, statements: STATEMENTS } =
+        this.getApiGatewayPermissions(alias, resourceId, method, path);
+
+      this.debugLog(`Adding permission for API Gateway to invoke Lambda: ${QUALIFIED_FUNCTION_NAME}`);
+
+      for (const STATEMENT of STATEMENTS) {
+        try {
+          await this.awsRequest('Lambda', 'removePermission', {
+            FunctionName: QUALIFIED_FUNCTION_NAME,
+            StatementId: STATEMENT.StatementId,
+          });
+        } catch (error) {
+          if (error.code !== 'ResourceNotFoundException') {
+            this.debugLog(`Warning: ${error.message}`, false, 'warning');
+          }
+        }
+      }
+
+      for (const STATEMENT of STATEMENTS) {
+        await this.awsRequest('Lambda', 'addPermission', {
+          FunctionName: QUALIFIED_FUNCTION_NAME,
+          StatementId: STATEMENT.StatementId,
+          Action: 'lambda:InvokeFunction',
+          Principal: 'apigateway.amazonaws.com',
+          SourceArn: STATEMENT.SourceArn,
+        });
+      }
+
+      this.debugLog(`Successfully added permission for API Gateway to invoke Lambda: ${QUALIFIED_FUNCTION_NAME}`, false, 'success');
+    } catch (error) {
+      this.debugLog(`Error adding Lambda permission: ${error.message}`, true, 'error');
+      throw error;
+    }
+  }
+
+  async deployApiGateway() {
+    try {
+      this.debugLog(`Deploying API Gateway (REST API ID: ${this.config.restApiId})...`);
+      const STAGE = this.provider.getStage();
+
+      const DEPLOYMENT = await this.awsRequest('APIGateway', 'createDeployment', {
+        restApiId: this.config.restApiId,
+        stageName: STAGE,
+        description: `Deployed by ${PLUGIN_NAME} for alias: ${this.config.alias}`,
+      });
+
+      this.debugLog(`Created deployment with ID: ${DEPLOYMENT.id} for stage: ${STAGE}`);
+      this.recordReport('stages', { type: 'rest', apiId: this.config.restApiId, stage: STAGE, deploymentId: DEPLOYMENT.id });
+
+      // Only set global stage variable when NOT using per-function stage vars
+      if (!this.config.skipSetGlobalStageVar) {
+        await this.awsRequest('APIGateway', 'updateStage', {
+          restApiId: this.config.restApiId,
+          stageName: STAGE,
+          patchOperations: [
+            { op: 'replace', path: '/variables/alias', value: this.config.alias },
+          ],
+        });
+        this.debugLog(`Set stage variable 'alias=${this.config.alias}' for stage: ${STAGE}`);
+      } else {
+        this.debugLog('Skipping setting global stage variable "alias" (perFunctionStageVars=true).', false, 'info');
+      }
+
+      const ENDPOINT_URL = `https://${this.config.restApiId}.execute-api.${this.config.region}.amazonaws.com/${STAGE}`;
+      this.debugLog(`${PLUGIN_NAME}: API Gateway endpoint: ${ENDPOINT_URL}`, false, 'info');
+      this.debugLog(`Successfully deployed API Gateway to stage: ${STAGE}`, false, 'success');
+    } catch (error) {
+      this.debugLog(`Error deploying API Gateway: ${error.message}`, true, 'error');
+      throw error;
+    }
+  }
+
+  // ---- WebSocket (API Gateway v2) ----
+
+  async updateWebSocketApiIntegrations(functions, websocketAliases) {
+    if (!this.config.websocketApiId || websocketAliases.length === 0) {
+      this.debugLog('Skipping WebSocket API integration updates (no WebSocket API ID or no WebSocket aliases created)', false, 'warning');
+      return;
+    }
+
+    this.debugLog(`Updating WebSocket API integrations for ${websocketAliases.length} functions...`);
+
+    try {
+      const ROUTES = await this.getWebSocketApiRoutes();
+      const INTEGRATIONS = await this.getWebSocketApiIntegrations();
+      this.throwFirstRejection(await this.mapWithConcurrency(websocketAliases, async (ALIAS) => {
+        const WEBSOCKET_EVENTS = this.getWebSocketEventsForFunction(ALIAS.name, functions);
+        if (WEBSOCKET_EVENTS.length === 0) {
+          this.debugLog(`No WebSocket events found for function '${ALIAS.name}'. Skipping WebSocket API integration.`);
+          return;
+        }
+        for (const EVENT of WEBSOCKET_EVENTS) {
+          await this.updateWebSocketApiIntegration(ROUTES, INTEGRATIONS, ALIAS, EVENT);
+        }
+      }));
+
+      if (this.config.skipWebSocketGateway) {
+        this.debugLog('WebSocket API integrations updated, deployment skipped as configured.', false, 'success');
+      } else {
+        await this.deployWebSocketApi();
+        this.debugLog('WebSocket API deployed and integrations updated successfully.', false, 'success');
+      }
+    } catch (error) {
+      this.debugLog(`Error updating WebSocket API integrations: ${error.message}`, true, 'error');
+      throw error;
+    }
+  }
+
+  async getWebSocketApiRoutes() {
+    try {
+      this.debugLog(`Getting WebSocket API routes for API ID: ${this.config.websocketApiId}`);
+      const ROUTES = await this.awsPaginate('ApiGatewayV2', 'getRoutes', { ApiId: this.config.websocketApiId });
+      this.debugLog(`Found ${ROUTES.length} WebSocket API routes.`);
+      return ROUTES;
+    } catch (error) {
+      this.debugLog(`Error getting WebSocket API routes: ${error.message}`, true, 'error');
+      throw error;
+    }
+  }
+
+  getWebSocketEventsForFunction(functionName, functions) {
+    const FUNCTION = functions.find((f) => f.name === functionName);
+    if (!FUNCTION) return [];
+    return FUNCTION.events
+      .filter((event) => event.websocket)
+      .map((event) => (typeof event.websocket === 'string' ? { route: event.websocket } : { route: event.websocket.route }));
+  }
+
+  async getWebSocketApiIntegrations() {
+    return this.awsPaginate('ApiGatewayV2', 'getIntegrations', { ApiId: this.config.websocketApiId });
+  }
+
+  /**
+   * Returns the integration a WebSocket route targets.
+   * @param {Object} route - Route from getWebSocketApiRoutes
+   * @param {Array<Object>} integrations - Integrations from getWebSocketApiIntegrations, fetched once per API
+   */
+  findWebSocketRouteIntegration(route, integrations) {
+    return integrations.find(
+      (integration) => integration.ApiId === this.config.websocketApiId && integration.IntegrationId === route.Target?.split('/').pop(),
+    );
+  }
+
+  async updateWebSocketApiIntegration(routes, integrations, alias, websocketEvent) {
+    try {
+      const ROUTE = routes.find((route) => route.RouteKey === websocketEvent.route);
+      if (!ROUTE) {
+        this.debugLog(`Route not found for key '${websocketEvent.route}'. Skipping integration update.`, false, 'warning');
+        return;
+      }
+      this.debugLog(`Updating integration for WebSocket route: ${websocketEvent.route}`);
+
+      const ROUTE_INTEGRATION = this.findWebSocketRouteIntegration(ROUTE, integrations);
+      if (!ROUTE_INTEGRATION) {
+        this.debugLog(`No integration found for route: ${websocketEvent.route}`, false, 'warning');
+        return;
+      }
+
+      // Build the integration URI with either global or per-function stage variable
+      const { stageVarExpr, uri: URI } = this.buildLambdaIntegrationUri(alias);
+
+      await this.awsRequest('ApiGatewayV2', 'updateIntegration', {
+        ApiId: this.config.websocketApiId,
+        IntegrationId: ROUTE_INTEGRATION.IntegrationId,
+        IntegrationUri: URI,
+      });
+      this.recordReport('integrations', {
+        type: 'websocket',
+        functionName: alias.functionName,
+        target: websocketEvent.route,
+        previousUri: ROUTE_INTEGRATION.IntegrationUri || null,
+        uri: URI,
+      });
+
+      await this.addWebSocketLambdaPermission(alias, ROUTE.RouteId, websocketEvent.route);
+
+      this.debugLog(
+        `Successfully updated integration for WebSocket route: ${websocketEvent.route} to use stage var ${stageVarExpr}`,
+        false,
+        'success',
+      );
+    } catch (error) {
+      this.debugLog(`Error updating WebSocket API integration for route '${websocketEvent.route}': ${error.message}`, true, 'error');
+      throw error;
+    }
+  }
+
+  /**
+   * Returns the permission statement that lets a WebSocket route invoke the function.
+   * @returns {{functionName: string, statements: Array<{StatementId: string, SourceArn: string}>}}
+   */
+  getWebSocketPermissions(alias, routeId, routeKey) {
+    // If per-function stage variables are enabled, grant permission on UNQUALIFIED function.
+    const QUALIFIED_FUNCTION_NAME = this.config.perFunctionStageVars
+      ? alias.functionName
+      : `${alias.functionName}:${alias.aliasName}`;
+
+    const STATEMENT_ID = `apigateway-ws-${this.config.websocketApiId}-${alias.aliasName}-${routeId}`.replace(/[^a-zA-Z0-9-_]/g, '-');
+    const SOURCE_ARN = `arn:aws:execute-api:${this.config.region}:${this.config.accountId}:${this.config.websocketApiId}/*/${routeKey}`;
+
+    return {
+      functionName: QUALIFIED_FUNCTION_NAME,
+      statements: [{ StatementId: STATEMENT_ID, SourceArn: SOURCE_ARN }],
+    };
+  }
+
+  async addWebSocketLambdaPermission(alias, routeId, routeKey) {
+    try {
+      const {
+        functionName: QUALIFIED_FUNCTION_NAME,
+        statements: [{ StatementId: STATEMENT_ID, SourceArn: SOURCE_ARN }],
+      } = this.getWebSocketPermissions(alias, routeId, routeKey);
+
+      this.debugLog(`Adding permission for WebSocket API Gateway to invoke Lambda: ${QUALIFIED_FUNCTION_NAME}`);
+
+      try {
+        await this.awsRequest('Lambda', 'removePermission', { FunctionName: QUALIFIED_FUNCTION_NAME, StatementId: STATEMENT_ID });
+      } catch (error) {
+        if (error.code !== 'ResourceNotFoundException') {
+          this.debugLog(`Warning: ${error.message}`, false, 'warning');
+        }
+      }
+
+      await this.awsRequest('Lambda', 'addPermission', {
+        FunctionName: QUALIFIED_FUNCTION_NAME,
+        StatementId: STATEMENT_ID,
+        Action: 'lambda:InvokeFunction',
+        Principal: 'apigateway.amazonaws.com',
+        SourceArn: SOURCE_ARN,
+      });
+
+      this.debugLog(
+        `Successfully added permission for WebSocket API Gateway to invoke Lambda: ${QUALIFIED_FUNCTION_NAME}`,
+        false,
+        'success',
+      );
+    } catch (error) {
+      this.debugLog(`Error adding WebSocket Lambda permission: ${error.message}`, true, 'error');
+      throw error;
+    }
+  }
+
+  async deployWebSocketApi() {
+    try {
+      this.debugLog(`Deploying WebSocket API (API ID: ${this.config.websocketApiId})...`);
+      const STAGE = this.provider.getStage();
+
+      const DEPLOYMENT = await this.awsRequest('ApiGatewayV2', 'createDeployment', {
+        ApiId: this.config.websocketApiId,
+        Description: `Deployed by ${PLUGIN_NAME} for alias: ${this.config.alias}`,
+      });
+      this.debugLog(`Created deployment with ID: ${DEPLOYMENT.DeploymentId}`);
+      this.recordReport('stages', { type: 'websocket', apiId: this.config.websocketApiId, stage: STAGE, deploymentId: DEPLOYMENT.DeploymentId });
+
+      try {
+        await this.awsRequest('ApiGatewayV2', 'getStage', { ApiId: this.config.websocketApiId, StageName: STAGE });
+        await this.awsRequest('ApiGatewayV2', 'updateStage', {
+          ApiId: this.config.websocketApiId,
+          StageName: STAGE,
+          DeploymentId: DEPLOYMENT.DeploymentId,
+          // Do NOT set global alias variable when perFunctionStageVars is active
+          ...(this.config.skipSetGlobalStageVar
+            ? {}
+            : { StageVariables: { alias: this.config.alias } }),
+        });
+        this.debugLog(`Updated existing WebSocket stage: ${STAGE} with new deployment`);
+      } catch (error) {
+        if (error.code === 'NotFoundException') {
+          await this.awsRequest('ApiGatewayV2', 'createStage', {
+            ApiId: this.config.websocketApiId,
+            StageName: STAGE,
+            DeploymentId: DEPLOYMENT.DeploymentId,
+            ...(this.config.skipSetGlobalStageVar
+              ? {}
+              : { StageVariables: { alias: this.config.alias } }),
+          });
+          this.debugLog(`Created new WebSocket stage: ${STAGE} with deployment`);
+        } else {
+          throw error;
+        }
+      }
+
+      const ENDPOINT_URL = `wss://${this.config.websocketApiId}.execute-api.${this.config.region}.amazonaws.com/${STAGE}`;
+      this.debugLog(`${PLUGIN_NAME}: WebSocket API endpoint: ${ENDPOINT_URL}`, false, 'info');
+      this.debugLog(`Successfully deployed WebSocket API to stage: ${STAGE}`, false, 'success');
     } catch (error) {
-      if (error.code === 'ResourceNotFoundException') return null;
+      this.debugLog(`Error deploying WebSocket API: ${error.message}`, true, 'error');
       throw error;
     }
   }
 
-  async haveFunctionChanges(functionData, specificVersion) {
+  // ---- HTTP API (API Gateway v2) ----
+
+  /**
+   * Resolves the HTTP API ID: provider.httpApi.id, or the HttpApi resource of the service's own stack.
+   * @returns {Promise<string|null>}
+   */
+  async resolveHttpApiId() {
+    if (this.config.httpApiId) return this.config.httpApiId;
     try {
-      const LAMBDA = new this.provider.sdk.Lambda({ region: this.config.region });
-      const LATEST_CONFIG = await LAMBDA.getFunctionConfiguration({ FunctionName: functionData.functionName }).promise();
-      let versionConfig;
-      try {
-        versionConfig = await LAMBDA.getFunctionConfiguration({
-          FunctionName: functionData.functionName,
-          Qualifier: specificVersion,
-        }).promise();
+      const LOGICAL_ID = this.provider.naming.getHttpApiLogicalId ? this.provider.naming.getHttpApiLogicalId() : 'HttpApi';
+      const RESULT = await this.awsRequest('CloudFormation', 'describeStackResource', {
+        StackName: this.provider.naming.getStackName(),
+        LogicalResourceId: LOGICAL_ID,
+      });
+      this.config.httpApiId = RESULT.StackResourceDetail.PhysicalResourceId;
+      this.debugLog(`Resolved HTTP API ID from stack: ${this.config.httpApiId}`);
+      return this.config.httpApiId;
+    } catch (error) {
+      this.debugLog(`Could not resolve HTTP API ID from stack: ${error.message}`, false, 'warning');
+      return null;
+    }
+  }
 
-        if (LATEST_CONFIG.CodeSha256 !== versionConfig.CodeSha256) return true;
-        if (LATEST_CONFIG.Handler !== versionConfig.Handler) return true;
-        if (LATEST_CONFIG.Runtime !== versionConfig.Runtime) return true;
-        if (LATEST_CONFIG.MemorySize !== versionConfig.MemorySize) return true;
-        if (LATEST_CONFIG.Timeout !== versionConfig.Timeout) return true;
-        if (LATEST_CONFIG.Role !== versionConfig.Role) return true;
+  /**
+   * Maps a Serverless `httpApi` event to its API Gateway v2 route key (e.g. "GET /users/{id}", "$default").
+   */
+  getHttpApiRouteKey(httpApiEvent) {
+    if (httpApiEvent === '*') return '$default';
+    if (typeof httpApiEvent === 'string') {
+      const [METHOD, PATH] = httpApiEvent.trim().split(/\s+/);
+      return `${METHOD === '*' ? 'ANY' : METHOD.toUpperCase()} ${PATH}`;
+    }
+    const METHOD = !httpApiEvent.method || httpApiEvent.method === '*' ? 'ANY' : httpApiEvent.method.toUpperCase();
+    if (!httpApiEvent.path || httpApiEvent.path === '*') return METHOD === 'ANY' ? '$default' : `${METHOD} /{proxy+}`;
+    return `${METHOD} ${httpApiEvent.path}`;
+  }
 
-        const CURRENT_ENV = versionConfig.Environment?.Variables || {};
-        const LATEST_ENV = LATEST_CONFIG.Environment?.Variables || {};
-        const CONFIG_ENV = functionData.environment || {};
+  getHttpApiEventsForFunction(functionName, functions) {
+    const FUNCTION = functions.find((f) => f.name === functionName);
+    if (!FUNCTION) return [];
+    return FUNCTION.events
+      .filter((event) => event.httpApi)
+      .map((event) => ({ routeKey: this.getHttpApiRouteKey(event.httpApi) }));
+  }
 
-        const CURRENT_KEYS = Object.keys(CURRENT_ENV).sort();
-        const LATEST_KEYS = Object.keys(LATEST_ENV).sort();
-        const CONFIG_KEYS = Object.keys(CONFIG_ENV).sort();
+  async updateHttpApiIntegrations(functions, httpApiAliases) {
+    this.debugLog(`Updating HTTP API integrations for ${httpApiAliases.length} functions...`);
 
-        if (JSON.stringify(CURRENT_KEYS) !== JSON.stringify(LATEST_KEYS)) return true;
-        if (JSON.stringify(CURRENT_KEYS) !== JSON.stringify(CONFIG_KEYS)) return true;
+    try {
+      const ROUTES = await this.awsPaginate('ApiGatewayV2', 'getRoutes', { ApiId: this.config.httpApiId });
+      this.debugLog(`Found ${ROUTES.length} HTTP API routes.`);
 
-        for (const KEY of CURRENT_KEYS) {
-          if (CURRENT_ENV[KEY] !== LATEST_ENV[KEY]) return true;
+      this.throwFirstRejection(await this.mapWithConcurrency(httpApiAliases, async (ALIAS) => {
+        for (const EVENT of this.getHttpApiEventsForFunction(ALIAS.name, functions)) {
+          await this.updateHttpApiIntegration(ROUTES, ALIAS, EVENT);
         }
-        for (const KEY of CURRENT_KEYS) {
-          if (CURRENT_ENV[KEY] !== CONFIG_ENV[KEY]) return true;
-        }
-
-        const VERSION_LAYER_ARNS = (versionConfig.Layers || []).map((layer) => layer.Arn).sort();
-        const LATEST_LAYER_ARNS = (LATEST_CONFIG.Layers || []).map((layer) => layer.Arn).sort();
-        if (JSON.stringify(VERSION_LAYER_ARNS) !== JSON.stringify(LATEST_LAYER_ARNS)) return true;
+      }));
 
-        try {
-          const ALIAS_CONFIG = await LAMBDA.getAlias({
-            FunctionName: functionData.functionName,
-            Name: this.config.alias,
-          }).promise();
-          if (ALIAS_CONFIG.FunctionVersion === specificVersion) {
-            return false;
-          }
-        } catch (error) {
-          if (error.code !== 'ResourceNotFoundException') throw error;
-        }
-        return false;
-      } catch (error) {
-        if (error.code === 'ResourceNotFoundException') return true;
-        throw error;
+      if (this.config.skipHttpApi) {
+        this.debugLog('HTTP API integrations updated, deployment skipped as configured.', false, 'success');
+      } else {
+        await this.deployHttpApi();
+        this.debugLog('HTTP API deployed and integrations updated successfully.', false, 'success');
       }
     } catch (error) {
-      this.debugLog(
-        `Error checking function changes for '${functionData.functionName}': ${error.message}`,
-        true,
-        'error',
-      );
-      return true;
+      this.debugLog(`Error updating HTTP API integrations: ${error.message}`, true, 'error');
+      throw error;
     }
   }
 
-  async publishNewFunctionVersion(functionData) {
+  async updateHttpApiIntegration(routes, alias, httpApiEvent) {
     try {
-      this.debugLog(`Publishing new version for function: ${functionData.functionName}`);
-      const LAMBDA = new this.provider.sdk.Lambda({ region: this.config.region });
-
-      await LAMBDA.updateFunctionConfiguration({
-        FunctionName: functionData.functionName,
-        Environment: { Variables: functionData.environment },
-      }).promise();
-
-      await this.waitForFunctionUpdateToComplete(functionData.functionName);
+      const ROUTE = routes.find((route) => route.RouteKey === httpApiEvent.routeKey);
+      if (!ROUTE?.Target) {
+        this.debugLog(`Route not found for key '${httpApiEvent.routeKey}'. Skipping integration update.`, false, 'warning');
+        return;
+      }
+      this.debugLog(`Updating integration for HTTP API route: ${httpApiEvent.routeKey}`);
+
+      const LAMBDA_ARN = this.buildStageVarLambdaArn(alias);
+      const INTEGRATION_ID = ROUTE.Target.split('/').pop();
+      const INTEGRATION = await this.awsRequest('ApiGatewayV2', 'getIntegration', { ApiId: this.config.httpApiId, IntegrationId: INTEGRATION_ID });
+      await this.awsRequest('ApiGatewayV2', 'updateIntegration', {
+        ApiId: this.config.httpApiId,
+        IntegrationId: INTEGRATION_ID,
+        IntegrationUri: LAMBDA_ARN,
+      });
+      this.recordReport('integrations', {
+        type: 'httpApi',
+        functionName: alias.functionName,
+        target: httpApiEvent.routeKey,
+        previousUri: INTEGRATION.IntegrationUri || null,
+        uri: LAMBDA_ARN,
+      });
 
-      const RESULT = await LAMBDA.publishVersion({
-        FunctionName: functionData.functionName,
-        Description: functionData.description || '',
-      }).promise();
+      await this.addHttpApiLambdaPermission(alias, ROUTE.RouteId, httpApiEvent.routeKey);
 
-      this.debugLog(`Published new version ${RESULT.Version} for function: ${functionData.functionName}`, false, 'success');
-      return RESULT.Version;
+      this.debugLog(`Successfully updated integration for HTTP API route: ${httpApiEvent.routeKey} to ${LAMBDA_ARN}`, false, 'success');
     } catch (error) {
-      this.debugLog(`Error publishing new version for function '${functionData.functionName}': ${error.message}`, true, 'error');
+      this.debugLog(`Error updating HTTP API integration for route '${httpApiEvent.routeKey}': ${error.message}`, true, 'error');
       throw error;
     }
   }
 
-  async waitForFunctionUpdateToComplete(functionName) {
-    this.debugLog(`Waiting for function update to complete: ${functionName}`);
-    const LAMBDA = new this.provider.sdk.Lambda({ region: this.config.region });
-    let retries = 0;
-    const MAX_RETRIES = 30;
-
-    while (retries < MAX_RETRIES) {
-      try {
-        const CONFIG = await LAMBDA.getFunctionConfiguration({ FunctionName: functionName }).promise();
-        if (CONFIG.LastUpdateStatus === 'Successful') return;
-        if (CONFIG.LastUpdateStatus === 'Failed') {
-          throw new Error(`Function update failed: ${CONFIG.LastUpdateStatusReason || 'Unknown reason'}`);
-        }
-        await new Promise((r) => setTimeout(r, 1000));
-        retries++;
-      } catch (error) {
-        if (error.code === 'ResourceNotFoundException') throw error;
-        await new Promise((r) => setTimeout(r, 1000));
-        retries++;
-      }
+  /**
+   * Returns the permission statement that lets an HTTP API route invoke the function.
+   * @returns {{functionName: string, statements: Array<{StatementId: string, SourceArn: string}>}}
+   */
+  getHttpApiPermissions(alias, routeId, routeKey) {
+    // If per-function stage variables are enabled, grant permission on UNQUALIFIED function.
+    const QUALIFIED_FUNCTION_NAME = this.config.perFunctionStageVars
+      ? alias.functionName
+      : `${alias.functionName}:${alias.aliasName}`;
+
+    const STATEMENT_ID = `apigateway-http-${this.config.httpApiId}-${alias.aliasName}-${routeId}`.replace(/[^a-zA-Z0-9-_]/g, '-');
+    const API_ARN = `arn:aws:execute-api:${this.config.region}:${this.config.accountId}:${this.config.httpApiId}`;
+
+    let sourceArn = `${API_ARN}/*/$default`;
+    if (routeKey !== '$default') {
+      const [METHOD, PATH] = routeKey.split(' ');
+      sourceArn = `${API_ARN}/*/${METHOD === 'ANY' ? '*' : METHOD}${PATH.replace(/\{[^}]+\}/g, '*')}`;
     }
-    throw new Error(`Function update timed out after ${MAX_RETRIES} retries: ${functionName}`);
+
+    return {
+      functionName: QUALIFIED_FUNCTION_NAME,
+      statements: [{ StatementId: STATEMENT_ID, SourceArn: sourceArn }],
+    };
   }
 
-  async getLatestFunctionVersion(functionName) {
+  async addHttpApiLambdaPermission(alias, routeId, routeKey) {
     try {
-      this.debugLog(`Getting latest version for function: ${functionName}`);
-      const LAMBDA = new this.provider.sdk.Lambda({ region: this.config.region });
+      const {
+        functionName: QUALIFIED_FUNCTION_NAME,
+        statements: [{ StatementId: STATEMENT_ID, SourceArn: SOURCE_ARN }],
+      } = this.getHttpApiPermissions(alias, routeId, routeKey);
 
-      try {
-        await LAMBDA.getFunction({ FunctionName: functionName }).promise();
-      } catch (funcError) {
-        if (funcError.code === 'ResourceNotFoundException') {
-          this.debugLog(`Function '${functionName}' not found`, true, 'warning');
-          return null;
-        }
-        throw funcError;
-      }
+      this.debugLog(`Adding permission for HTTP API to invoke Lambda: ${QUALIFIED_FUNCTION_NAME}`);
 
       try {
-        const RESULT = await LAMBDA.listVersionsByFunction({ FunctionName: functionName, MaxItems: 20 }).promise();
-        const VERSIONS = RESULT.Versions.filter((v) => v.Version !== '$LATEST')
-          .sort((a, b) => parseInt(b.Version) - parseInt(a.Version));
-        if (VERSIONS.length > 0) return VERSIONS[0].Version;
-        this.debugLog(`No numbered versions found for function: ${functionName}, falling back to $LATEST`, false, 'warning');
-        return '$LATEST';
+        await this.awsRequest('Lambda', 'removePermission', { FunctionName: QUALIFIED_FUNCTION_NAME, StatementId: STATEMENT_ID });
       } catch (error) {
-        this.debugLog(`Error listing versions for '${functionName}': ${error.message}, falling back to $LATEST`, false, 'warning');
-        return '$LATEST';
+        if (error.code !== 'ResourceNotFoundException') {
+          this.debugLog(`Warning: ${error.message}`, false, 'warning');
+        }
       }
+
+      await this.awsRequest('Lambda', 'addPermission', {
+        FunctionName: QUALIFIED_FUNCTION_NAME,
+        StatementId: STATEMENT_ID,
+        Action: 'lambda:InvokeFunction',
+        Principal: 'apigateway.amazonaws.com',
+        SourceArn: SOURCE_ARN,
+      });
+
+      this.debugLog(`Successfully added permission for HTTP API to invoke Lambda: ${QUALIFIED_FUNCTION_NAME}`, false, 'success');
     } catch (error) {
-      this.debugLog(`Error getting latest version for function '${functionName}': ${error.message}`, true, 'error');
+      this.debugLog(`Error adding HTTP API Lambda permission: ${error.message}`, true, 'error');
       throw error;
     }
   }
 
-  async createOrUpdateAlias(functionName, version) {
+  /**
+   * Sets the alias stage variable on the HTTP API stage. Stages with auto-deploy pick up the
+   * integration changes by themselves, other stages get an explicit deployment.
+   */
+  async deployHttpApi() {
     try {
-      if (!functionName) throw new Error('Function name is required');
-      if (!version) throw new Error('Function version is required');
-
-      const LAMBDA = new this.provider.sdk.Lambda({ region: this.config.region });
-      if (version === '$LATEST') {
-        this.debugLog(`Using $LATEST version for function '${functionName}' since no published versions found`, false, 'warning');
+      const STAGE = this.config.httpApiStage;
+      this.debugLog(`Deploying HTTP API (API ID: ${this.config.httpApiId}, stage: ${STAGE})...`);
+
+      const EXISTING_STAGE = await this.awsRequest('ApiGatewayV2', 'getStage', { ApiId: this.config.httpApiId, StageName: STAGE });
+      const STAGE_UPDATE = {
+        ApiId: this.config.httpApiId,
+        StageName: STAGE,
+        // Do NOT set global alias variable when perFunctionStageVars is active
+        ...(this.config.skipSetGlobalStageVar
+          ? {}
+          : { StageVariables: { ...(EXISTING_STAGE.StageVariables || {}), alias: this.config.alias } }),
+      };
+
+      if (EXISTING_STAGE.AutoDeploy) {
+        this.debugLog(`HTTP API stage '${STAGE}' has auto-deploy enabled. Skipping explicit deployment.`);
+      } else {
+        const DEPLOYMENT = await this.awsRequest('ApiGatewayV2', 'createDeployment', {
+          ApiId: this.config.httpApiId,
+          Description: `Deployed by ${PLUGIN_NAME} for alias: ${this.config.alias}`,
+        });
+        this.debugLog(`Created deployment with ID: ${DEPLOYMENT.DeploymentId}`);
+        STAGE_UPDATE.DeploymentId = DEPLOYMENT.DeploymentId;
       }
 
-      try {
-        this.debugLog(`Checking if alias '${this.config.alias}' exists for function '${functionName}'`);
-        const EXISTING_ALIAS = await LAMBDA.getAlias({ FunctionName: functionName, Name: this.config.alias }).promise();
-        if (EXISTING_ALIAS.FunctionVersion !== version) {
-          this.debugLog(
-            `Updating alias '${this.config.alias}' for function '${functionName}' from version ${EXISTING_ALIAS.FunctionVersion} to ${version}`,
-          );
-          return await LAMBDA.updateAlias({
-            FunctionName: functionName,
-            Name: this.config.alias,
-            FunctionVersion: version,
-            Description: `Alias for ${this.config.alias}`,
-          }).promise();
-        }
-        this.debugLog(
-          `Alias '${this.config.alias}' for function '${functionName}' already points to version ${version}. No update needed.`,
-          false,
-          'success',
-        );
-        return EXISTING_ALIAS;
-      } catch (error) {
-        if (error.code === 'ResourceNotFoundException') {
-          this.debugLog(`Creating new alias '${this.config.alias}' for function '${functionName}' pointing to version ${version}`);
-          return await LAMBDA.createAlias({
-            FunctionName: functionName,
-            Name: this.config.alias,
-            FunctionVersion: version,
-            Description: `Alias for ${this.config.alias}`,
-          }).promise();
-        }
-        throw error;
+      if (STAGE_UPDATE.DeploymentId || STAGE_UPDATE.StageVariables) {
+        await this.awsRequest('ApiGatewayV2', 'updateStage', STAGE_UPDATE);
       }
+      // Auto-deployed stages have no deployment ID of their own
+      this.recordReport('stages', { type: 'httpApi', apiId: this.config.httpApiId, stage: STAGE, deploymentId: STAGE_UPDATE.DeploymentId || null });
+
+      const ENDPOINT_URL = `https://${this.config.httpApiId}.execute-api.${this.config.region}.amazonaws.com${STAGE === '$default' ? '' : `/${STAGE}`}`;
+      this.debugLog(`${PLUGIN_NAME}: HTTP API endpoint: ${ENDPOINT_URL}`, false, 'info');
+      this.debugLog(`Successfully deployed HTTP API to stage: ${STAGE}`, false, 'success');
     } catch (error) {
-      this.debugLog(`Error managing alias for function '${functionName}': ${error.message}`, true, 'error');
+      this.debugLog(`Error deploying HTTP API: ${error.message}`, true, 'error');
       throw error;
     }
   }
 
-  // ---- API Gateway (REST) ----
-
-  async updateApiGatewayIntegrations(functions, httpAliases) {
-    if (!this.config.restApiId || httpAliases.length === 0) {
-      this.debugLog('Skipping API Gateway integration updates (no REST API ID or no HTTP aliases created)', false, 'warning');
-      return;
-    }
+  // ---- Application Load Balancer ----
 
-    this.debugLog(`Updating HTTP API Gateway integrations for ${httpAliases.length} functions...`);
+  buildAliasArn(alias) {
+    return `arn:aws:lambda:${this.config.region}:${this.config.accountId}:function:${alias.functionName}:${alias.aliasName}`;
+  }
 
+  /**
+   * Resolves an event property given as a plain string, as a `Ref` to a resource of the service's stack,
+   * or as another intrinsic function resolveIntrinsic supports (e.g. `Fn::ImportValue`).
+   * @returns {Promise<string|null>}
+   */
+  async resolveStackReference(value) {
+    if (typeof value === 'string') return value;
+    if (!value?.Ref) return (await this.resolveIntrinsic(value)) ?? null;
     try {
-      const RESOURCES = await this.getApiGatewayResources();
-      for (const ALIAS of httpAliases) {
-        const HTTP_EVENTS = this.getHttpEventsForFunction(ALIAS.name, functions);
-        if (HTTP_EVENTS.length === 0) {
-          this.debugLog(`No HTTP events found for function '${ALIAS.name}'. Skipping API Gateway integration.`);
-          continue;
-        }
-        for (const EVENT of HTTP_EVENTS) {
-          await this.updateApiGatewayIntegration(RESOURCES, ALIAS, EVENT);
-        }
-      }
-
-      if (this.config.skipApiGateway) {
-        this.debugLog('HTTP API Gateway integrations updated, deployment skipped as configured.', false, 'success');
-      } else {
-        await this.deployApiGateway();
-        this.debugLog('HTTP API Gateway deployed and integrations updated successfully.', false, 'success');
-      }
+      const RESULT = await this.awsRequest('CloudFormation', 'describeStackResource', {
+        StackName: this.provider.naming.getStackName(),
+        LogicalResourceId: value.Ref,
+      });
+      return RESULT.StackResourceDetail.PhysicalResourceId;
     } catch (error) {
-      this.debugLog(`Error updating HTTP API Gateway integrations: ${error.message}`, true, 'error');
-      throw error;
+      this.debugLog(`Could not resolve '${value.Ref}' from stack: ${error.message}`, false, 'warning');
+      return null;
     }
   }
 
-  getHttpEventsForFunction(functionName, functions) {
+  getAlbEventsForFunction(functionName, functions) {
     const FUNCTION = functions.find((f) => f.name === functionName);
     if (!FUNCTION) return [];
     return FUNCTION.events
-      .filter((event) => event.http)
-      .map((event) => ({
-        path: event.http.path,
-        method: event.http.method.toUpperCase(),
-        cors: event.http.cors || false,
-        methodSettings: event.http.methodSettings || {},
-      }));
+      .filter((event) => event.alb)
+      .map((event) => ({ listenerArn: event.alb.listenerArn, priority: event.alb.priority }));
   }
 
-  async getApiGatewayResources() {
-    try {
-      this.debugLog(`Getting API Gateway resources for REST API ID: ${this.config.restApiId}`);
-      const API_GATEWAY = new this.provider.sdk.APIGateway({ region: this.config.region });
-      const RESULT = await API_GATEWAY.getResources({ restApiId: this.config.restApiId, limit: 500 }).promise();
-      this.debugLog(`Found ${RESULT.items.length} API Gateway resources.`);
-      return RESULT.items;
-    } catch (error) {
-      this.debugLog(`Error getting API Gateway resources: ${error.message}`, true, 'error');
-      throw error;
+  /**
+   * Returns the target groups the listener rule of an `alb` event forwards to.
+   * @returns {Promise<string[]>}
+   */
+  async getAlbTargetGroupArns(albEvent) {
+    const LISTENER_ARN = await this.resolveStackReference(albEvent.listenerArn);
+    if (!LISTENER_ARN) {
+      this.debugLog(`ALB listener for priority ${albEvent.priority} could not be resolved.`, false, 'warning');
+      return [];
     }
+
+    const RULES = await this.awsPaginate('ELBv2', 'describeRules', { ListenerArn: LISTENER_ARN });
+    const RULE = RULES.find((rule) => rule.Priority === String(albEvent.priority));
+    if (!RULE) return [];
+
+    const TARGET_GROUP_ARNS = (RULE.Actions || [])
+      .filter((action) => action.Type === 'forward')
+      .flatMap((action) => [
+        action.TargetGroupArn,
+        ...(action.ForwardConfig?.TargetGroups || []).map((targetGroup) => targetGroup.TargetGroupArn),
+      ])
+      .filter(Boolean);
+    return [...new Set(TARGET_GROUP_ARNS)];
   }
 
-  findResourceByPath(resources, path) {
-    const NORMALIZED_PATH = path.startsWith('/') ? path : `/${path}`;
-    if (this.config.apiGatewayResourceCache.has(NORMALIZED_PATH)) {
-      return this.config.apiGatewayResourceCache.get(NORMALIZED_PATH);
+  async updateAlbTargetGroups(functions, albAliases) {
+    this.debugLog(`Updating ALB target groups for ${albAliases.length} functions...`);
+
+    try {
+      for (const ALIAS of albAliases) {
+        for (const EVENT of this.getAlbEventsForFunction(ALIAS.name, functions)) {
+          const TARGET_GROUP_ARNS = await this.getAlbTargetGroupArns(EVENT);
+          if (TARGET_GROUP_ARNS.length === 0) {
+            this.debugLog(
+              `Target group not found for ALB rule priority ${EVENT.priority} of function '${ALIAS.name}'. Skipping.`,
+              false,
+              'warning',
+            );
+            continue;
+          }
+          for (const TARGET_GROUP_ARN of TARGET_GROUP_ARNS) {
+            await this.updateAlbTargetGroup(ALIAS, TARGET_GROUP_ARN);
+          }
+        }
+      }
+      this.debugLog('ALB target groups updated successfully.', false, 'success');
+    } catch (error) {
+      this.debugLog(`Error updating ALB target groups: ${error.message}`, true, 'error');
+      throw error;
     }
-    const RESOURCE = resources.find((resource) => resource.path === NORMALIZED_PATH);
-    if (RESOURCE) this.config.apiGatewayResourceCache.set(NORMALIZED_PATH, RESOURCE);
-    return RESOURCE;
   }
 
-  async updateApiGatewayIntegration(resources, alias, httpEvent) {
+  /**
+   * Registers the alias as the target of a target group, replacing the previous target of the function.
+   * The stale target is only deregistered once the alias target is available, so the group always has a target.
+   * Targets of other functions are left alone.
+   */
+  async updateAlbTargetGroup(alias, targetGroupArn) {
     try {
-      const RESOURCE = this.findResourceByPath(resources, httpEvent.path);
-      if (!RESOURCE) {
-        this.debugLog(`Resource not found for path '${httpEvent.path}'. Skipping integration update.`, false, 'warning');
+      const ALIAS_ARN = this.buildAliasArn(alias);
+      const HEALTH = await this.awsRequest('ELBv2', 'describeTargetHealth', { TargetGroupArn: targetGroupArn });
+      const TARGETS = (HEALTH.TargetHealthDescriptions || []).map((description) => description.Target);
+
+      if (TARGETS.some((target) => target.Id === ALIAS_ARN)) {
+        this.debugLog(`Target group ${targetGroupArn} already targets ${ALIAS_ARN}.`);
+        await this.addAlbLambdaPermission(alias, targetGroupArn);
         return;
       }
 
-      this.debugLog(`Updating integration for path: ${httpEvent.path}, method: ${httpEvent.method}`);
-      const API_GATEWAY = new this.provider.sdk.APIGateway({ region: this.config.region });
-
-      // Fetch current integration (optional, for logging)
-      try {
-        const INTEGRATION = await API_GATEWAY.getIntegration({
-          restApiId: this.config.restApiId,
-          resourceId: RESOURCE.id,
-          httpMethod: httpEvent.method,
-        }).promise();
-        if (INTEGRATION) {
-          this.debugLog(`Current integration: ${JSON.stringify(INTEGRATION, null, 2)}`, false, 'info');
-        }
-      } catch (e) {
-        this.debugLog(`No existing integration found for path: ${httpEvent.path}, method: ${httpEvent.method}`, false, 'warning');
-      }
+      this.debugLog(`Updating target group: ${targetGroupArn}`);
 
-      // Build the integration URI with either global or per-function stage variable
-      const stageVarExpr = this.getStageVarExprForFunction(alias.name);
-      const LAMBDA_ARN = `arn:aws:lambda:${this.config.region}:${this.config.accountId}:function:${alias.functionName}:${stageVarExpr}`;
-      const URI = `arn:aws:apigateway:${this.config.region}:lambda:path/2015-03-31/functions/${LAMBDA_ARN}/invocations`;
+      // ELB checks the invoke permission when the target is registered
+      await this.addAlbLambdaPermission(alias, targetGroupArn);
 
-      await API_GATEWAY.updateIntegration({
-        restApiId: this.config.restApiId,
-        resourceId: RESOURCE.id,
-        httpMethod: httpEvent.method,
-        patchOperations: [{ op: 'replace', path: '/uri', value: URI }],
-      }).promise();
+      await this.awsRequest('ELBv2', 'registerTargets', { TargetGroupArn: targetGroupArn, Targets: [{ Id: ALIAS_ARN }] });
+      await this.waitForAlbTarget(targetGroupArn, ALIAS_ARN);
 
-      await this.addLambdaPermission(alias, RESOURCE.id, httpEvent.method, httpEvent.path);
+      const STALE_TARGETS = TARGETS
+        .filter((target) => this.isFunctionTarget(alias, target.Id))
+        .map((target) => ({ Id: target.Id }));
+      if (STALE_TARGETS.length > 0) {
+        await this.awsRequest('ELBv2', 'deregisterTargets', { TargetGroupArn: targetGroupArn, Targets: STALE_TARGETS });
+        this.debugLog(`Deregistered stale targets: ${STALE_TARGETS.map((target) => target.Id).join(', ')}`);
+      }
+      this.recordReport('integrations', {
+        type: 'alb',
+        functionName: alias.functionName,
+        target: targetGroupArn,
+        previousUri: STALE_TARGETS.map((target) => target.Id).join(',') || null,
+        uri: ALIAS_ARN,
+      });
 
-      this.debugLog(
-        `Successfully updated integration for path: ${httpEvent.path}, method: ${httpEvent.method} to use stage var ${stageVarExpr}`,
-        false,
-        'success',
-      );
+      this.debugLog(`Successfully updated target group: ${targetGroupArn} to ${ALIAS_ARN}`, false, 'success');
     } catch (error) {
-      this.debugLog(
-        `Error updating API Gateway integration for path '${httpEvent.path}', method '${httpEvent.method}': ${error.message}`,
-        true,
-        'error',
-      );
+      this.debugLog(`Error updating ALB target group '${targetGroupArn}': ${error.message}`, true, 'error');
       throw error;
     }
   }
 
-  async addLambdaPermission(alias, resourceId, method, path) {
+  /**
+   * Whether a target is the unqualified function or one of its aliases and versions.
+   */
+  isFunctionTarget(alias, targetId) {
+    const FUNCTION_ARN = this.buildFunctionArn(alias);
+    return targetId === FUNCTION_ARN || targetId.startsWith(`${FUNCTION_ARN}:`);
+  }
+
+  /**
+   * Waits until a registered target is healthy, or available without health checks.
+   */
+  async waitForAlbTarget(targetGroupArn, targetId) {
+    const MAX_RETRIES = 60;
+    let state;
+    for (let retries = 0; retries < MAX_RETRIES; retries++) {
+      const HEALTH = await this.awsRequest('ELBv2', 'describeTargetHealth', {
+        TargetGroupArn: targetGroupArn,
+        Targets: [{ Id: targetId }],
+      });
+      const TARGET_HEALTH = HEALTH.TargetHealthDescriptions?.[0]?.TargetHealth || {};
+      state = TARGET_HEALTH.State;
+      if (state === 'healthy' || (state === 'unavailable' && TARGET_HEALTH.Reason === 'Target.HealthCheckDisabled')) return;
+      await new Promise((r) => setTimeout(r, 5000));
+    }
+    throw new Error(`Target ${targetId} of target group ${targetGroupArn} not available after ${MAX_RETRIES} retries (state: ${state || 'unknown'})`);
+  }
+
+  /**
+   * Returns the permission statement that lets a target group invoke the alias.
+   * @returns {{functionName: string, statements: Array<{StatementId: string, SourceArn: string}>}}
+   */
+  getAlbPermissions(alias, targetGroupArn) {
+    // targetgroup/<name>/<id>
+    const TARGET_GROUP_NAME = targetGroupArn.split(':').pop().split('/').slice(1).join('-');
+    const STATEMENT_ID = `alb-${alias.aliasName}-${TARGET_GROUP_NAME}`.replace(/[^a-zA-Z0-9-_]/g, '-');
+
+    return {
+      functionName: `${alias.functionName}:${alias.aliasName}`,
+      statements: [{ StatementId: STATEMENT_ID, SourceArn: targetGroupArn }],
+    };
+  }
+
+  async addAlbLambdaPermission(alias, targetGroupArn) {
     try {
-      const LAMBDA = new this.provider.sdk.Lambda({ region: this.config.region });
-
-      // If per-function stage variables are enabled, we grant permission on the UNQUALIFIED function.
-      // This allows API Gateway to invoke any alias resolved by the stage variable.
-      const QUALIFIED_FUNCTION_NAME = this.config.perFunctionStageVars
-        ? alias.functionName
-        : `${alias.functionName}:${this.config.alias}`;
+      const {
+        functionName: QUALIFIED_FUNCTION_NAME,
+        statements: [{ StatementId: STATEMENT_ID, SourceArn: SOURCE_ARN }],
+      } = this.getAlbPermissions(alias, targetGroupArn);
 
-      const STAGE_STATEMENT_ID =
-        `apigateway-${this.config.restApiId}-${this.config.alias}-${method}-${resourceId}`.replace(/[^a-zA-Z0-9-_]/g, '-');
-      const TEST_STATEMENT_ID =
-        `apigateway-test-${this.config.restApiId}-${this.config.alias}-${method}-${resourceId}`.replace(/[^a-zA-Z0-9-_]/g, '-');
+      this.debugLog(`Adding permission for ALB to invoke Lambda: ${QUALIFIED_FUNCTION_NAME}`);
 
-      const NORMALIZED_PATH = path.startsWith('/') ? path : `/${path}`;
-      const SOURCE_ARN = `arn:aws:execute-api:${this.config.region}:${this.config.accountId}:${this.config.restApiId}/*/${method}${NORMALIZED_PATH}`;
-
-      this.debugLog(`Adding permission for API Gateway to invoke Lambda: ${QUALIFIED_FUNCTION_NAME}`);
-
-      try {
-        await LAMBDA.removePermission({ FunctionName: QUALIFIED_FUNCTION_NAME, StatementId: STAGE_STATEMENT_ID }).promise();
-      } catch (error) {
-        if (error.code !== 'ResourceNotFoundException') {
-          this.debugLog(`Warning: ${error.message}`, false, 'warning');
-        }
-      }
       try {
-        await LAMBDA.removePermission({ FunctionName: QUALIFIED_FUNCTION_NAME, StatementId: TEST_STATEMENT_ID }).promise();
+        await this.awsRequest('Lambda', 'removePermission', { FunctionName: QUALIFIED_FUNCTION_NAME, StatementId: STATEMENT_ID });
       } catch (error) {
         if (error.code !== 'ResourceNotFoundException') {
           this.debugLog(`Warning: ${error.message}`, false, 'warning');
         }
       }
 
-      await LAMBDA.addPermission({
+      await this.awsRequest('Lambda', 'addPermission', {
         FunctionName: QUALIFIED_FUNCTION_NAME,
-        StatementId: STAGE_STATEMENT_ID,
+        StatementId: STATEMENT_ID,
         Action: 'lambda:InvokeFunction',
-        Principal: 'apigateway.amazonaws.com',
+        Principal: 'elasticloadbalancing.amazonaws.com',
         SourceArn: SOURCE_ARN,
-      }).promise();
-
-      await LAMBDA.addPermission({
-        FunctionName: QUALIFIED_FUNCTION_NAME,
-        StatementId: TEST_STATEMENT_ID,
-        Action: 'lambda:InvokeFunction',
-        Principal: 'apigateway.amazonaws.com',
-        SourceArn: `arn:aws:execute-api:${this.config.region}:${this.config.accountId}:${this.config.restApiId}/test-invoke-stage/${method}${NORMALIZED_PATH}`,
-      }).promise();
+      });
 
-      this.debugLog(`Successfully added permission for API Gateway to invoke Lambda: ${QUALIFIED_FUNCTION_NAME}`, false, 'success');
+      this.debugLog(`Successfully added permission for ALB to invoke Lambda: ${QUALIFIED_FUNCTION_NAME}`, false, 'success');
     } catch (error) {
-      this.debugLog(`Error adding Lambda permission: ${error.message}`, true, 'error');
+      this.debugLog(`Error adding ALB Lambda permission: ${error.message}`, true, 'error');
       throw error;
     }
   }
 
-  async deployApiGateway() {
-    try {
-      this.debugLog(`Deploying API Gateway (REST API ID: ${this.config.restApiId})...`);
-      const API_GATEWAY = new this.provider.sdk.APIGateway({ region: this.config.region });
-      const STAGE = this.provider.getStage();
-
-      const DEPLOYMENT = await API_GATEWAY.createDeployment({
-        restApiId: this.config.restApiId,
-        stageName: STAGE,
-        description: `Deployed by ${PLUGIN_NAME} for alias: ${this.config.alias}`,
-      }).promise();
-
-      this.debugLog(`Created deployment with ID: ${DEPLOYMENT.id} for stage: ${STAGE}`);
+  // ---- Event source mappings (SQS, Kinesis, DynamoDB streams) ----
 
-      // Only set global stage variable when NOT using per-function stage vars
-      if (!this.config.skipSetGlobalStageVar) {
-        await API_GATEWAY.updateStage({
-          restApiId: this.config.restApiId,
-          stageName: STAGE,
-          patchOperations: [
-            { op: 'replace', path: '/variables/alias', value: this.config.alias },
-          ],
-        }).promise();
-        this.debugLog(`Set stage variable 'alias=${this.config.alias}' for stage: ${STAGE}`);
-      } else {
-        this.debugLog('Skipping setting global stage variable "alias" (perFunctionStageVars=true).', false, 'info');
-      }
+  getEventSourceName(eventSourceArn) {
+    const [, , SERVICE, , , ...RESOURCE] = eventSourceArn.split(':');
+    return `${SERVICE}:${RESOURCE.join(':')}`;
+  }
 
-      const ENDPOINT_URL = `https://${this.config.restApiId}.execute-api.${this.config.region}.amazonaws.com/${STAGE}`;
-      this.debugLog(`${PLUGIN_NAME}: API Gateway endpoint: ${ENDPOINT_URL}`, false, 'info');
-      this.debugLog(`Successfully deployed API Gateway to stage: ${STAGE}`, false, 'success');
-    } catch (error) {
-      this.debugLog(`Error deploying API Gateway: ${error.message}`, true, 'error');
-      throw error;
+  /**
+   * Lists the SQS, Kinesis and DynamoDB stream mappings of a function, on the unqualified
+   * function and on the given qualifiers.
+   */
+  async listEventSourceMappings(functionName, qualifiers = []) {
+    const MAPPINGS = new Map();
+    for (const FUNCTION_NAME of [functionName, ...qualifiers.map((qualifier) => `${functionName}:${qualifier}`)]) {
+      const RESULT = await this.awsPaginate('Lambda', 'listEventSourceMappings', { FunctionName: FUNCTION_NAME });
+      RESULT
+        .filter((mapping) => EVENT_SOURCE_ARN_PATTERN.test(mapping.EventSourceArn || ''))
+        .forEach((mapping) => MAPPINGS.set(mapping.UUID, mapping));
     }
+    return [...MAPPINGS.values()];
   }
 
-  // ---- WebSocket (API Gateway v2) ----
+  getEventSourceMappingQualifier(mapping) {
+    // arn:aws:lambda:<region>:<account>:function:<name>[:<qualifier>]
+    return mapping.FunctionArn.split(':')[7] || null;
+  }
 
-  async updateWebSocketApiIntegrations(functions, websocketAliases) {
-    if (!this.config.websocketApiId || websocketAliases.length === 0) {
-      this.debugLog('Skipping WebSocket API integration updates (no WebSocket API ID or no WebSocket aliases created)', false, 'warning');
-      return;
+  async waitForEventSourceMapping(uuid) {
+    this.debugLog(`Waiting for event source mapping to settle: ${uuid}`);
+    let retries = 0;
+    const MAX_RETRIES = 90;
+
+    while (retries < MAX_RETRIES) {
+      const MAPPING = await this.awsRequest('Lambda', 'getEventSourceMapping', { UUID: uuid });
+      if (MAPPING.State === 'Enabled' || MAPPING.State === 'Disabled') return MAPPING;
+      await new Promise((r) => setTimeout(r, 2000));
+      retries++;
     }
+    throw new Error(`Event source mapping did not settle after ${MAX_RETRIES} retries: ${uuid}`);
+  }
 
-    this.debugLog(`Updating WebSocket API integrations for ${websocketAliases.length} functions...`);
+  /**
+   * Moves the event source mappings of a function from one qualifier to another (null is the
+   * unqualified function). Mappings are updated in place, so a stream keeps its checkpoint and a
+   * single consumer reads it. When the target already has a mapping for the same source, the
+   * source mapping is a duplicate: it is disabled and only deleted once it has stopped polling.
+   * @returns {Promise<Array<{functionName: string, previousFunctionArn: string, targetFunctionName: string, source: string, uuid: string, action: string}>>}
+   */
+  async moveEventSourceMappings(functionName, fromQualifier, toQualifier) {
+    const QUALIFIERS = [fromQualifier, toQualifier].filter(Boolean);
+    const MAPPINGS = await this.listEventSourceMappings(functionName, QUALIFIERS);
+    const TARGET_FUNCTION_NAME = toQualifier ? `${functionName}:${toQualifier}` : functionName;
+    const CHANGES = [];
+
+    for (const MAPPING of MAPPINGS.filter((mapping) => this.getEventSourceMappingQualifier(mapping) === fromQualifier)) {
+      const SOURCE = this.getEventSourceName(MAPPING.EventSourceArn);
+      const PREVIOUS_FUNCTION_ARN = MAPPING.FunctionArn;
+      const DUPLICATE = MAPPINGS.find((mapping) => mapping.EventSourceArn === MAPPING.EventSourceArn
+        && this.getEventSourceMappingQualifier(mapping) === toQualifier);
 
-    try {
-      const ROUTES = await this.getWebSocketApiRoutes();
-      for (const ALIAS of websocketAliases) {
-        const WEBSOCKET_EVENTS = this.getWebSocketEventsForFunction(ALIAS.name, functions);
-        if (WEBSOCKET_EVENTS.length === 0) {
-          this.debugLog(`No WebSocket events found for function '${ALIAS.name}'. Skipping WebSocket API integration.`);
+      try {
+        // Lambda rejects changes while a mapping is creating or updating
+        await this.waitForEventSourceMapping(MAPPING.UUID);
+
+        if (DUPLICATE) {
+          this.debugLog(`${TARGET_FUNCTION_NAME} already consumes ${SOURCE}, removing duplicate mapping ${MAPPING.UUID}`, false, 'warning');
+          await this.awsRequest('Lambda', 'updateEventSourceMapping', { UUID: MAPPING.UUID, Enabled: false });
+          await this.waitForEventSourceMapping(MAPPING.UUID);
+          await this.awsRequest('Lambda', 'deleteEventSourceMapping', { UUID: MAPPING.UUID });
+          CHANGES.push({
+            functionName,
+            previousFunctionArn: PREVIOUS_FUNCTION_ARN,
+            targetFunctionName: TARGET_FUNCTION_NAME,
+            source: SOURCE,
+            uuid: MAPPING.UUID,
+            action: 'removed duplicate',
+          });
           continue;
         }
-        for (const EVENT of WEBSOCKET_EVENTS) {
-          await this.updateWebSocketApiIntegration(ROUTES, ALIAS, EVENT);
-        }
+
+        this.debugLog(`Moving event source mapping ${MAPPING.UUID} (${SOURCE}) to ${TARGET_FUNCTION_NAME}`);
+        await this.awsRequest('Lambda', 'updateEventSourceMapping', { UUID: MAPPING.UUID, FunctionName: TARGET_FUNCTION_NAME });
+        await this.waitForEventSourceMapping(MAPPING.UUID);
+        CHANGES.push({
+          functionName,
+          previousFunctionArn: PREVIOUS_FUNCTION_ARN,
+          targetFunctionName: TARGET_FUNCTION_NAME,
+          source: SOURCE,
+          uuid: MAPPING.UUID,
+          action: 'moved',
+        });
+        this.debugLog(`Successfully moved event source mapping ${MAPPING.UUID} to ${TARGET_FUNCTION_NAME}`, false, 'success');
+      } catch (error) {
+        this.debugLog(`Error moving event source mapping ${MAPPING.UUID} (${SOURCE}): ${error.message}`, true, 'error');
+        throw error;
       }
+    }
 
-      if (this.config.skipWebSocketGateway) {
-        this.debugLog('WebSocket API integrations updated, deployment skipped as configured.', false, 'success');
-      } else {
-        await this.deployWebSocketApi();
-        this.debugLog('WebSocket API deployed and integrations updated successfully.', false, 'success');
+    return CHANGES;
+  }
+
+  // ---- EventBridge rules and SNS subscriptions ----
+
+  buildFunctionArn(alias) {
+    return `arn:aws:lambda:${this.config.region}:${this.config.accountId}:function:${alias.functionName}`;
+  }
+
+  /**
+   * Replaces the invoke permissions of an event source on the alias.
+   */
+  async replaceLambdaPermissions(permissions, principal) {
+    const { functionName: QUALIFIED_FUNCTION_NAME, statements: STATEMENTS } = permissions;
+
+    for (const STATEMENT of STATEMENTS) {
+      try {
+        await this.awsRequest('Lambda', 'removePermission', { FunctionName: QUALIFIED_FUNCTION_NAME, StatementId: STATEMENT.StatementId });
+      } catch (error) {
+        if (error.code !== 'ResourceNotFoundException') {
+          this.debugLog(`Warning: ${error.message}`, false, 'warning');
+        }
       }
-    } catch (error) {
-      this.debugLog(`Error updating WebSocket API integrations: ${error.message}`, true, 'error');
-      throw error;
+
+      await this.awsRequest('Lambda', 'addPermission', {
+        FunctionName: QUALIFIED_FUNCTION_NAME,
+        StatementId: STATEMENT.StatementId,
+        Action: 'lambda:InvokeFunction',
+        Principal: principal,
+        SourceArn: STATEMENT.SourceArn,
+      });
     }
   }
 
-  async getWebSocketApiRoutes() {
+  /**
+   * Removes the statements that let a service principal invoke the unqualified function from the given source.
+   * @returns {Promise<string[]>} removed statement IDs
+   */
+  async removeUnqualifiedPermissions(functionName, principal, sourceArn, keepStackOwned = false) {
+    const REMOVED = [];
+    for (const STATEMENT of await this.getUnqualifiedPermissions(functionName, principal, sourceArn, keepStackOwned)) {
+      await this.awsRequest('Lambda', 'removePermission', { FunctionName: functionName, StatementId: STATEMENT.Sid });
+      REMOVED.push(STATEMENT.Sid);
+    }
+    return REMOVED;
+  }
+
+  /**
+   * Returns the statements of the unqualified function's policy that let an event source invoke it.
+   * With keepStackOwned, statements created by an AWS::Lambda::Permission of the service's stack are left out.
+   */
+  async getUnqualifiedPermissions(functionName, principal, sourceArn, keepStackOwned = false) {
     try {
-      this.debugLog(`Getting WebSocket API routes for API ID: ${this.config.websocketApiId}`);
-      const API_GATEWAY_V2 = new this.provider.sdk.ApiGatewayV2({ region: this.config.region });
-      const RESULT = await API_GATEWAY_V2.getRoutes({ ApiId: this.config.websocketApiId }).promise();
-      this.debugLog(`Found ${RESULT.Items.length} WebSocket API routes.`);
-      return RESULT.Items;
+      const POLICY = await this.awsRequest('Lambda', 'getPolicy', { FunctionName: functionName });
+      const STACK_IDS = keepStackOwned ? await this.getStackPhysicalIds() : new Set();
+      return (JSON.parse(POLICY.Policy).Statement || []).filter((statement) => statement.Principal?.Service === principal
+        && statement.Condition?.ArnLike?.['AWS:SourceArn'] === sourceArn
+        && !STACK_IDS.has(statement.Sid)
+        && !STACK_IDS.has(`${functionName}|${statement.Sid}`));
     } catch (error) {
-      this.debugLog(`Error getting WebSocket API routes: ${error.message}`, true, 'error');
+      if (error.code === 'ResourceNotFoundException') return [];
       throw error;
     }
   }
 
-  getWebSocketEventsForFunction(functionName, functions) {
+  /**
+   * Returns the event buses a function's rules can live on: the default bus and the buses of its `eventBridge` events.
+   */
+  async getEventBusesForFunction(functionName, functions) {
     const FUNCTION = functions.find((f) => f.name === functionName);
-    if (!FUNCTION) return [];
-    return FUNCTION.events
-      .filter((event) => event.websocket)
-      .map((event) => (typeof event.websocket === 'string' ? { route: event.websocket } : { route: event.websocket.route }));
+    const BUSES = new Set(['default']);
+    for (const EVENT of FUNCTION?.events || []) {
+      if (!EVENT.eventBridge?.eventBus) continue;
+      const EVENT_BUS = await this.resolveStackReference(EVENT.eventBridge.eventBus);
+      if (EVENT_BUS) BUSES.add(EVENT_BUS);
+    }
+    return [...BUSES];
   }
 
-  async updateWebSocketApiIntegration(routes, alias, websocketEvent) {
-    try {
-      const ROUTE = routes.find((route) => route.RouteKey === websocketEvent.route);
-      if (!ROUTE) {
-        this.debugLog(`Route not found for key '${websocketEvent.route}'. Skipping integration update.`, false, 'warning');
-        return;
-      }
-      this.debugLog(`Updating integration for WebSocket route: ${websocketEvent.route}`);
-
-      const API_GATEWAY_V2 = new this.provider.sdk.ApiGatewayV2({ region: this.config.region });
-      const INTEGRATIONS = await API_GATEWAY_V2.getIntegrations({ ApiId: this.config.websocketApiId }).promise();
-      const ROUTE_INTEGRATION = INTEGRATIONS.Items.find(
-        (integration) => integration.ApiId === this.config.websocketApiId && integration.IntegrationId === ROUTE.Target?.split('/').pop(),
-      );
-      if (!ROUTE_INTEGRATION) {
-        this.debugLog(`No integration found for route: ${websocketEvent.route}`, false, 'warning');
-        return;
+  /**
+   * Finds the rules (`schedule`, `eventBridge`, `cloudwatchEvent`) that still target the unqualified function.
+   * @returns {Promise<Array<{name: string, arn: string, eventBusName: string, targets: Array<object>}>>}
+   */
+  async getEventRulesTargetingFunction(alias, functions) {
+    const FUNCTION_ARN = this.buildFunctionArn(alias);
+    const RULES = [];
+
+    for (const EVENT_BUS of await this.getEventBusesForFunction(alias.name, functions)) {
+      const RULE_NAMES = await this.awsPaginate('EventBridge', 'listRuleNamesByTarget', {
+        TargetArn: FUNCTION_ARN,
+        EventBusName: EVENT_BUS,
+      });
+      for (const RULE_NAME of RULE_NAMES) {
+        const RULE = await this.awsRequest('EventBridge', 'describeRule', { Name: RULE_NAME, EventBusName: EVENT_BUS });
+        const TARGETS = await this.awsPaginate('EventBridge', 'listTargetsByRule', { Rule: RULE_NAME, EventBusName: EVENT_BUS });
+        RULES.push({
+          name: RULE_NAME,
+          arn: RULE.Arn,
+          eventBusName: EVENT_BUS,
+          targets: TARGETS.filter((target) => target.Arn === FUNCTION_ARN),
+        });
       }
+    }
 
-      // Build the integration URI with either global or per-function stage variable
-      const stageVarExpr = this.getStageVarExprForFunction(alias.name);
-      const LAMBDA_ARN = `arn:aws:lambda:${this.config.region}:${this.config.accountId}:function:${alias.functionName}:${stageVarExpr}`;
-      const URI = `arn:aws:apigateway:${this.config.region}:lambda:path/2015-03-31/functions/${LAMBDA_ARN}/invocations`;
+    return RULES;
+  }
 
-      await API_GATEWAY_V2.updateIntegration({
-        ApiId: this.config.websocketApiId,
-        IntegrationId: ROUTE_INTEGRATION.IntegrationId,
-        IntegrationUri: URI,
-      }).promise();
+  /**
+   * Returns the permission statement that lets an EventBridge rule invoke the alias.
+   * @returns {{functionName: string, statements: Array<{StatementId: string, SourceArn: string}>}}
+   */
+  getEventRulePermissions(alias, rule) {
+    return {
+      functionName: `${alias.functionName}:${alias.aliasName}`,
+      statements: [{
+        StatementId: `events-${alias.aliasName}-${rule.name}`.replace(/[^a-zA-Z0-9-_]/g, '-').slice(0, 100),
+        SourceArn: rule.arn,
+      }],
+    };
+  }
 
-      await this.addWebSocketLambdaPermission(alias, ROUTE.RouteId, websocketEvent.route);
+  async updateEventRuleTargets(functions, eventRuleAliases) {
+    this.debugLog(`Updating EventBridge rule targets for ${eventRuleAliases.length} functions...`);
 
-      this.debugLog(
-        `Successfully updated integration for WebSocket route: ${websocketEvent.route} to use stage var ${stageVarExpr}`,
-        false,
-        'success',
-      );
+    try {
+      for (const ALIAS of eventRuleAliases) {
+        const RULES = await this.getEventRulesTargetingFunction(ALIAS, functions);
+        if (RULES.length === 0) {
+          this.debugLog(`No rules target the unqualified function '${ALIAS.functionName}'.`);
+          continue;
+        }
+        for (const RULE of RULES) {
+          await this.updateEventRuleTarget(ALIAS, RULE);
+        }
+      }
+      this.debugLog('EventBridge rule targets updated successfully.', false, 'success');
     } catch (error) {
-      this.debugLog(`Error updating WebSocket API integration for route '${websocketEvent.route}': ${error.message}`, true, 'error');
+      this.debugLog(`Error updating EventBridge rule targets: ${error.message}`, true, 'error');
       throw error;
     }
   }
 
-  async addWebSocketLambdaPermission(alias, routeId, routeKey) {
+  /**
+   * Points the rule's targets at the alias. The alias permission is added first so no event is rejected,
+   * and the unqualified permission is removed last, unless it is a resource of the service's stack.
+   */
+  async updateEventRuleTarget(alias, rule) {
     try {
-      const LAMBDA = new this.provider.sdk.Lambda({ region: this.config.region });
+      const ALIAS_ARN = this.buildAliasArn(alias);
+      this.debugLog(`Updating targets of rule: ${rule.name} (event bus: ${rule.eventBusName})`);
 
-      // If per-function stage variables are enabled, grant permission on UNQUALIFIED function.
-      const QUALIFIED_FUNCTION_NAME = this.config.perFunctionStageVars
-        ? alias.functionName
-        : `${alias.functionName}:${this.config.alias}`;
+      await this.replaceLambdaPermissions(this.getEventRulePermissions(alias, rule), 'events.amazonaws.com');
 
-      const STATEMENT_ID = `apigateway-ws-${this.config.websocketApiId}-${this.config.alias}-${routeId}`.replace(/[^a-zA-Z0-9-_]/g, '-');
-      const SOURCE_ARN = `arn:aws:execute-api:${this.config.region}:${this.config.accountId}:${this.config.websocketApiId}/*/${routeKey}`;
+      // Keeping the target ID replaces the target and preserves its input, retry policy and DLQ
+      const RESULT = await this.awsRequest('EventBridge', 'putTargets', {
+        Rule: rule.name,
+        EventBusName: rule.eventBusName,
+        Targets: rule.targets.map((target) => ({ ...target, Arn: ALIAS_ARN })),
+      });
+      if (RESULT.FailedEntryCount > 0) {
+        throw new Error(RESULT.FailedEntries.map((entry) => `${entry.TargetId}: ${entry.ErrorMessage}`).join(', '));
+      }
+      this.recordReport('integrations', {
+        type: 'eventBridge',
+        functionName: alias.functionName,
+        target: rule.arn,
+        previousUri: this.buildFunctionArn(alias),
+        uri: ALIAS_ARN,
+      });
 
-      this.debugLog(`Adding permission for WebSocket API Gateway to invoke Lambda: ${QUALIFIED_FUNCTION_NAME}`);
+      const REMOVED = await this.removeUnqualifiedPermissions(alias.functionName, 'events.amazonaws.com', rule.arn, true);
+      if (REMOVED.length > 0) {
+        this.debugLog(`Removed unqualified permissions: ${REMOVED.join(', ')}`);
+      }
 
-      try {
-        await LAMBDA.removePermission({ FunctionName: QUALIFIED_FUNCTION_NAME, StatementId: STATEMENT_ID }).promise();
-      } catch (error) {
-        if (error.code !== 'ResourceNotFoundException') {
-          this.debugLog(`Warning: ${error.message}`, false, 'warning');
-        }
+      this.debugLog(`Successfully updated targets of rule: ${rule.name} to ${ALIAS_ARN}`, false, 'success');
+    } catch (error) {
+      this.debugLog(`Error updating targets of rule '${rule.name}': ${error.message}`, true, 'error');
+      throw error;
+    }
+  }
+
+  /**
+   * Returns the topic ARNs of a function's `sns` events.
+   */
+  async getSnsTopicArnsForFunction(functionName, functions) {
+    const FUNCTION = functions.find((f) => f.name === functionName);
+    const TOPIC_ARNS = new Set();
+    for (const EVENT of (FUNCTION?.events || []).filter((event) => event.sns)) {
+      const SNS = EVENT.sns;
+      let topicArn = null;
+      if (typeof SNS === 'string') {
+        topicArn = SNS.startsWith('arn:') ? SNS : `arn:aws:sns:${this.config.region}:${this.config.accountId}:${SNS}`;
+      } else if (SNS.arn) {
+        topicArn = await this.resolveStackReference(SNS.arn);
+      } else if (SNS.topicName) {
+        topicArn = `arn:aws:sns:${this.config.region}:${this.config.accountId}:${SNS.topicName}`;
+      }
+      if (topicArn) {
+        TOPIC_ARNS.add(topicArn);
+      } else {
+        this.debugLog(`Could not resolve the topic of an sns event of function '${functionName}'.`, false, 'warning');
       }
+    }
+    return [...TOPIC_ARNS];
+  }
 
-      await LAMBDA.addPermission({
-        FunctionName: QUALIFIED_FUNCTION_NAME,
-        StatementId: STATEMENT_ID,
-        Action: 'lambda:InvokeFunction',
-        Principal: 'apigateway.amazonaws.com',
-        SourceArn: SOURCE_ARN,
-      }).promise();
+  /**
+   * Finds the subscriptions of the unqualified function to the topics of its `sns` events. Subscriptions
+   * that are resources of the service's stack are returned separately, as they cannot be moved to the alias.
+   * @returns {Promise<Array<{topicArn: string, subscriptions: Array<object>, stackSubscriptions: Array<object>, aliasSubscribed: boolean}>>}
+   */
+  async getSnsSubscriptionsOfFunction(alias, functions) {
+    const FUNCTION_ARN = this.buildFunctionArn(alias);
+    const ALIAS_ARN = this.buildAliasArn(alias);
+    const STACK_IDS = await this.getStackPhysicalIds();
+    const TOPICS = [];
+
+    for (const TOPIC_ARN of await this.getSnsTopicArnsForFunction(alias.name, functions)) {
+      const SUBSCRIPTIONS = await this.awsPaginate('SNS', 'listSubscriptionsByTopic', { TopicArn: TOPIC_ARN });
+      const LAMBDA_SUBSCRIPTIONS = SUBSCRIPTIONS.filter((subscription) => subscription.Protocol === 'lambda');
+      const UNQUALIFIED_SUBSCRIPTIONS = LAMBDA_SUBSCRIPTIONS.filter((subscription) => subscription.Endpoint === FUNCTION_ARN);
+      const ALIAS_SUBSCRIBED = LAMBDA_SUBSCRIPTIONS.some((subscription) => subscription.Endpoint === ALIAS_ARN);
+      const STALE_SUBSCRIPTIONS = UNQUALIFIED_SUBSCRIPTIONS.filter((subscription) => !STACK_IDS.has(subscription.SubscriptionArn));
+      if (STALE_SUBSCRIPTIONS.length === 0 && (ALIAS_SUBSCRIBED || UNQUALIFIED_SUBSCRIPTIONS.length === 0)) continue;
+      TOPICS.push({
+        topicArn: TOPIC_ARN,
+        subscriptions: STALE_SUBSCRIPTIONS,
+        stackSubscriptions: UNQUALIFIED_SUBSCRIPTIONS.filter((subscription) => STACK_IDS.has(subscription.SubscriptionArn)),
+        aliasSubscribed: ALIAS_SUBSCRIBED,
+      });
+    }
 
-      this.debugLog(
-        `Successfully added permission for WebSocket API Gateway to invoke Lambda: ${QUALIFIED_FUNCTION_NAME}`,
-        false,
-        'success',
-      );
+    return TOPICS;
+  }
+
+  /**
+   * Returns the permission statement that lets an SNS topic invoke the alias.
+   * @returns {{functionName: string, statements: Array<{StatementId: string, SourceArn: string}>}}
+   */
+  getSnsPermissions(alias, topicArn) {
+    return {
+      functionName: `${alias.functionName}:${alias.aliasName}`,
+      statements: [{
+        StatementId: `sns-${alias.aliasName}-${topicArn.split(':').pop()}`.replace(/[^a-zA-Z0-9-_]/g, '-').slice(0, 100),
+        SourceArn: topicArn,
+      }],
+    };
+  }
+
+  async updateSnsSubscriptions(functions, snsAliases) {
+    this.debugLog(`Updating SNS subscriptions for ${snsAliases.length} functions...`);
+
+    try {
+      for (const ALIAS of snsAliases) {
+        const TOPICS = await this.getSnsSubscriptionsOfFunction(ALIAS, functions);
+        if (TOPICS.length === 0) {
+          this.debugLog(`No SNS subscriptions of the unqualified function '${ALIAS.functionName}'.`);
+          continue;
+        }
+        for (const TOPIC of TOPICS) {
+          await this.updateSnsSubscription(ALIAS, TOPIC);
+        }
+      }
+      this.debugLog('SNS subscriptions updated successfully.', false, 'success');
     } catch (error) {
-      this.debugLog(`Error adding WebSocket Lambda permission: ${error.message}`, true, 'error');
+      this.debugLog(`Error updating SNS subscriptions: ${error.message}`, true, 'error');
       throw error;
     }
   }
 
-  async deployWebSocketApi() {
+  /**
+   * Subscribes the alias to the topic, then unsubscribes the unqualified function. A subscription
+   * endpoint cannot be changed, so messages published in between may be delivered twice, but none are lost.
+   * Topics the function is subscribed to by the service's stack are skipped: the stack would keep its
+   * subscription, and every message would be processed by both the function and the alias.
+   */
+  async updateSnsSubscription(alias, topic) {
+    if (topic.stackSubscriptions.length > 0) {
+      this.debugLog(
+        `The subscription of '${alias.functionName}' to topic '${topic.topicArn}' is a resource of the stack and stays on the unqualified function. `
+          + `List the event types to rewire without 'sns' in functions.${alias.name}.alias.events to silence this warning.`,
+        true,
+        'warning',
+      );
+      return;
+    }
+
     try {
-      this.debugLog(`Deploying WebSocket API (API ID: ${this.config.websocketApiId})...`);
-      const API_GATEWAY_V2 = new this.provider.sdk.ApiGatewayV2({ region: this.config.region });
-      const STAGE = this.provider.getStage();
+      const ALIAS_ARN = this.buildAliasArn(alias);
+      this.debugLog(`Updating subscriptions of topic: ${topic.topicArn}`);
+
+      await this.replaceLambdaPermissions(this.getSnsPermissions(alias, topic.topicArn), 'sns.amazonaws.com');
+
+      if (!topic.aliasSubscribed) {
+        // Carry over the filter and redrive settings of the existing subscription
+        const { Attributes: ATTRIBUTES = {} } = await this.awsRequest('SNS', 'getSubscriptionAttributes', {
+          SubscriptionArn: topic.subscriptions[0].SubscriptionArn,
+        });
+        const COPIED_ATTRIBUTES = Object.fromEntries(
+          ['FilterPolicy', 'FilterPolicyScope', 'RedrivePolicy']
+            .filter((key) => ATTRIBUTES[key] !== undefined)
+            .map((key) => [key, ATTRIBUTES[key]]),
+        );
 
-      const DEPLOYMENT = await API_GATEWAY_V2.createDeployment({
-        ApiId: this.config.websocketApiId,
-        Description: `Deployed by ${PLUGIN_NAME} for alias: ${this.config.alias}`,
-      }).promise();
-      this.debugLog(`Created deployment with ID: ${DEPLOYMENT.DeploymentId}`);
+        await this.awsRequest('SNS', 'subscribe', {
+          TopicArn: topic.topicArn,
+          Protocol: 'lambda',
+          Endpoint: ALIAS_ARN,
+          Attributes: COPIED_ATTRIBUTES,
+          ReturnSubscriptionArn: true,
+        });
+      }
 
-      try {
-        await API_GATEWAY_V2.getStage({ ApiId: this.config.websocketApiId, StageName: STAGE }).promise();
-        await API_GATEWAY_V2.updateStage({
-          ApiId: this.config.websocketApiId,
-          StageName: STAGE,
-          DeploymentId: DEPLOYMENT.DeploymentId,
-          // Do NOT set global alias variable when perFunctionStageVars is active
-          ...(this.config.skipSetGlobalStageVar
-            ? {}
-            : { StageVariables: { alias: this.config.alias } }),
-        }).promise();
-        this.debugLog(`Updated existing WebSocket stage: ${STAGE} with new deployment`);
-      } catch (error) {
-        if (error.code === 'NotFoundException') {
-          await API_GATEWAY_V2.createStage({
-            ApiId: this.config.websocketApiId,
-            StageName: STAGE,
-            DeploymentId: DEPLOYMENT.DeploymentId,
-            ...(this.config.skipSetGlobalStageVar
-              ? {}
-              : { StageVariables: { alias: this.config.alias } }),
-          }).promise();
-          this.debugLog(`Created new WebSocket stage: ${STAGE} with deployment`);
-        } else {
-          throw error;
-        }
+      for (const SUBSCRIPTION of topic.subscriptions) {
+        await this.awsRequest('SNS', 'unsubscribe', { SubscriptionArn: SUBSCRIPTION.SubscriptionArn });
       }
+      this.recordReport('integrations', {
+        type: 'sns',
+        functionName: alias.functionName,
+        target: topic.topicArn,
+        previousUri: topic.subscriptions.map((subscription) => subscription.Endpoint).join(',') || null,
+        uri: ALIAS_ARN,
+      });
 
-      const ENDPOINT_URL = `wss://${this.config.websocketApiId}.execute-api.${this.config.region}.amazonaws.com/${STAGE}`;
-      this.debugLog(`${PLUGIN_NAME}: WebSocket API endpoint: ${ENDPOINT_URL}`, false, 'info');
-      this.debugLog(`Successfully deployed WebSocket API to stage: ${STAGE}`, false, 'success');
+      const REMOVED = await this.removeUnqualifiedPermissions(alias.functionName, 'sns.amazonaws.com', topic.topicArn, true);
+      if (REMOVED.length > 0) {
+        this.debugLog(`Removed unqualified permissions: ${REMOVED.join(', ')}`);
+      }
+
+      this.debugLog(`Successfully subscribed ${ALIAS_ARN} to topic: ${topic.topicArn}`, false, 'success');
     } catch (error) {
-      this.debugLog(`Error deploying WebSocket API: ${error.message}`, true, 'error');
+      this.debugLog(`Error updating subscriptions of topic '${topic.topicArn}': ${error.message}`, true, 'error');
       throw error;
     }
   }
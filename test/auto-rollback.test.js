@@ -0,0 +1,131 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+
+const ServerlessLambdaAliasPlugin = require('../src/index.js');
+
+/**
+ * Returns an AWS SDK v2 style client whose methods resolve (or reject) with the result of `handlers[method]`.
+ * Every call is recorded in `calls` as [method, params].
+ */
+function createStubClient(handlers, calls = []) {
+  return new Proxy({}, {
+    get: (_, method) => (params = {}) => ({
+      promise: async () => {
+        calls.push([method, params]);
+        if (!handlers[method]) throw new Error(`Unexpected call: ${method}`);
+        return handlers[method](params);
+      },
+    }),
+  });
+}
+
+function createPlugin(aliasConfig) {
+  const SERVERLESS = {
+    service: {
+      service: 'svc',
+      provider: {},
+      custom: { alias: aliasConfig },
+      functions: { hello: { handler: 'handler.hello' } },
+    },
+    classes: { Error: class ServerlessError extends Error {} },
+    cli: { log: () => {} },
+    getProvider: () => ({
+      getRegion: () => 'us-east-1',
+      getStage: () => 'dev',
+      getServerlessDeploymentBucketName: async () => 'deployment-bucket',
+      getDeploymentPrefix: () => 'serverless',
+    }),
+  };
+  const PLUGIN = new ServerlessLambdaAliasPlugin(SERVERLESS, {});
+  PLUGIN.initializePlugin();
+  return PLUGIN;
+}
+
+const ALIASES = [{ name: 'hello', functionName: 'svc-dev-hello', aliasName: 'live', previousVersion: '1', version: '2' }];
+
+describe('automatic rollback', () => {
+  it('reports the alarms in ALARM state', async () => {
+    const PLUGIN = createPlugin({ name: 'live', autoRollback: { alarms: ['errors', 'latency'] } });
+    const CALLS = [];
+    PLUGIN.awsClients.set('CloudWatch', createStubClient({
+      describeAlarms: () => ({
+        MetricAlarms: [
+          { AlarmName: 'errors', StateValue: 'ALARM', StateReason: 'Threshold crossed' },
+          { AlarmName: 'latency', StateValue: 'OK' },
+        ],
+      }),
+    }, CALLS));
+
+    const TRIGGERS = await PLUGIN.getRollbackTriggers(ALIASES, new Date());
+
+    assert.deepEqual(CALLS[0], ['describeAlarms', { AlarmNames: ['errors', 'latency'] }]);
+    assert.deepEqual(TRIGGERS, ["Alarm 'errors' is in ALARM state: Threshold crossed"]);
+  });
+
+  it('reports the alias metrics of the new version that reach their threshold', async () => {
+    const PLUGIN = createPlugin({ name: 'live', autoRollback: { metrics: { errors: 3, throttles: 1 } } });
+    const CALLS = [];
+    PLUGIN.awsClients.set('CloudWatch', createStubClient({
+      getMetricStatistics: ({ MetricName }) => ({
+        Datapoints: MetricName === 'Errors' ? [{ Sum: 1 }, { Sum: 2 }] : [],
+      }),
+    }, CALLS));
+
+    const TRIGGERS = await PLUGIN.getRollbackTriggers(ALIASES, new Date());
+
+    assert.deepEqual(CALLS.map(([, params]) => params.MetricName), ['Errors', 'Throttles']);
+    assert.deepEqual(CALLS[0][1].Dimensions, [
+      { Name: 'FunctionName', Value: 'svc-dev-hello' },
+      { Name: 'Resource', Value: 'svc-dev-hello:live' },
+      { Name: 'ExecutedVersion', Value: '2' },
+    ]);
+    assert.deepEqual(TRIGGERS, ["Errors for 'svc-dev-hello:live' (version 2) = 3 (threshold 3)"]);
+  });
+
+  it('does not report metrics below their threshold', async () => {
+    const PLUGIN = createPlugin({ name: 'live', autoRollback: { metrics: { errors: 3 } } });
+    PLUGIN.awsClients.set('CloudWatch', createStubClient({
+      getMetricStatistics: () => ({ Datapoints: [{ Sum: 2 }] }),
+    }));
+
+    assert.deepEqual(await PLUGIN.getRollbackTriggers(ALIASES, new Date()), []);
+  });
+
+  it('moves the alias back to its previous version when an alarm fires during the rollout', async () => {
+    const PLUGIN = createPlugin({ name: 'live', autoRollback: { alarms: ['errors'], watchPeriod: 60 } });
+    const LAMBDA_CALLS = [];
+    const S3_CALLS = [];
+    PLUGIN.awsClients.set('CloudWatch', createStubClient({
+      describeAlarms: () => ({ MetricAlarms: [{ AlarmName: 'errors', StateValue: 'ALARM' }] }),
+    }));
+    PLUGIN.awsClients.set('Lambda', createStubClient({
+      getAlias: () => ({ Name: 'live', FunctionVersion: '2' }),
+      updateAlias: (params) => params,
+    }, LAMBDA_CALLS));
+    PLUGIN.awsClients.set('S3', createStubClient({
+      getObject: () => {
+        throw Object.assign(new Error('The specified key does not exist.'), { code: 'NoSuchKey' });
+      },
+      putObject: () => ({}),
+    }, S3_CALLS));
+
+    await assert.rejects(PLUGIN.watchAliasRollout(ALIASES), (error) => {
+      assert.ok(error instanceof PLUGIN.serverless.classes.Error);
+      assert.match(error.message, /Alarm 'errors' is in ALARM state/);
+      assert.match(error.message, /svc-dev-hello 2 -> 1/);
+      return true;
+    });
+
+    const UPDATE = LAMBDA_CALLS.find(([method]) => method === 'updateAlias')[1];
+    assert.equal(UPDATE.FunctionName, 'svc-dev-hello');
+    assert.equal(UPDATE.Name, 'live');
+    assert.equal(UPDATE.FunctionVersion, '1');
+
+    const HISTORY = JSON.parse(S3_CALLS.find(([method]) => method === 'putObject')[1].Body);
+    assert.deepEqual(HISTORY.entries.map((entry) => [entry.type, entry.functions[0].fromVersion, entry.functions[0].toVersion]), [
+      ['auto-rollback', '2', '1'],
+    ]);
+  });
+});